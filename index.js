@@ -5,10 +5,11 @@ import {
     TokenTransfer, 
     Token, 
     Transaction, 
-    TransactionPayload
+    TransactionPayload,
+    TransactionComputer
 } from '@multiversx/sdk-core';
 
-import fetch from 'node-fetch';
+import fetch, { Response } from 'node-fetch';
 import ora from 'ora';
 import pThrottle from 'p-throttle';
 import express from 'express';
@@ -20,7 +21,9 @@ import { Readable } from 'stream';
 import BigNumber from 'bignumber.js';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
 
 
 const __filename = fileURLToPath(import.meta.url);
@@ -30,47 +33,474 @@ const app = express();
 const PORT = process.env.PORT || 10000;
 const SECURE_TOKEN = process.env.SECURE_TOKEN;  // Secure Token for authorization
 const TREASURY_WALLET = "erd158k2c3aserjmwnyxzpln24xukl2fsvlk9x46xae4dxl5xds79g6sdz37qn"; // Treasury wallet
-const provider = new ProxyNetworkProvider("https://gateway.multiversx.com", { clientName: "javascript-api" });
 const FIXED_USD_FEE = 0.03; // Fixed fee in USD
 const REWARD_TOKEN = "REWARD-cf6eac";
 
-const whitelistFilePath = path.join(__dirname, 'whitelist.json');
+// ------------------ Networks ------------------
+
+// Public MultiversX endpoints per network. `custom` is configured with API_PROVIDER, GATEWAY_PROVIDER and CHAIN_ID.
+// The usage fee token can differ per network (e.g. DEVNET_REWARD_TOKEN for a devnet test token).
+const NETWORKS = {
+    mainnet: { apiUrl: "https://api.multiversx.com", gatewayUrl: "https://gateway.multiversx.com", chainId: "1" },
+    devnet: { apiUrl: "https://devnet-api.multiversx.com", gatewayUrl: "https://devnet-gateway.multiversx.com", chainId: "D" },
+    testnet: { apiUrl: "https://testnet-api.multiversx.com", gatewayUrl: "https://testnet-gateway.multiversx.com", chainId: "T" },
+    custom: { apiUrl: process.env.API_PROVIDER, gatewayUrl: process.env.GATEWAY_PROVIDER, chainId: process.env.CHAIN_ID },
+};
+
+// The server-wide network comes from CHAIN; API_PROVIDER also overrides the API URL of a named network
+const DEFAULT_NETWORK_NAME = process.env.CHAIN || 'mainnet';
+if (!NETWORKS[DEFAULT_NETWORK_NAME]) {
+    throw new Error(`Unsupported CHAIN "${DEFAULT_NETWORK_NAME}". Supported: ${Object.keys(NETWORKS).join(', ')}`);
+}
+if (process.env.API_PROVIDER) {
+    NETWORKS[DEFAULT_NETWORK_NAME].apiUrl = process.env.API_PROVIDER;
+}
+Object.entries(NETWORKS).forEach(([name, network]) => {
+    network.name = name;
+    network.apiUrl = network.apiUrl && network.apiUrl.replace(/\/+$/, '');
+    network.gatewayUrl = network.gatewayUrl && network.gatewayUrl.replace(/\/+$/, '');
+    network.rewardToken = process.env[`${name.toUpperCase()}_REWARD_TOKEN`] || REWARD_TOKEN;
+});
+
+const networkContext = new AsyncLocalStorage();
+const networkProviders = new Map(); // gateway URL -> ProxyNetworkProvider
+
+// Helper: Network settings by name, failing with a 400 for unknown or unconfigured networks
+const resolveNetwork = (name = DEFAULT_NETWORK_NAME) => {
+    const network = typeof name === 'string' && Object.hasOwn(NETWORKS, name) ? NETWORKS[name] : null;
+    if (!network) {
+        throw createHttpError(400, `Unsupported network "${name}". Supported: ${Object.keys(NETWORKS).join(', ')}`);
+    }
+    if (!network.apiUrl || !network.gatewayUrl || !network.chainId) {
+        throw createHttpError(400, `Network "${name}" is not configured on this server.`);
+    }
+    return network;
+};
+
+// The network of the current request (or job), falling back to the server-wide one
+const getNetwork = () => networkContext.getStore() || resolveNetwork();
+
+const getApiUrl = () => getNetwork().apiUrl;
+
+const getProvider = () => {
+    const { gatewayUrl } = getNetwork();
+    if (!networkProviders.has(gatewayUrl)) {
+        networkProviders.set(gatewayUrl, new ProxyNetworkProvider(gatewayUrl, { clientName: "javascript-api" }));
+    }
+    return networkProviders.get(gatewayUrl);
+};
+
+// Helper: Add the network a response was served from to JSON object bodies
+// (stored resources such as snapshots keep the network they were taken on)
+const withNetwork = (body) => (body && typeof body === 'object' && !Array.isArray(body)
+    ? { network: getNetwork().name, ...body }
+    : body);
+
+// Middleware: Serve the request on `network` (body or query string) and echo it in every JSON response
+const selectNetwork = (req, res, next) => {
+    let network;
+    try {
+        network = resolveNetwork(req.body?.network || req.query.network || undefined);
+    } catch (error) {
+        return res.status(error.statusCode).json({ error: error.message, network: req.body?.network || req.query.network });
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => json(networkContext.run(network, () => withNetwork(body)));
+    networkContext.run(network, next);
+};
+
+// ------------------ Upstream API Client ------------------
+
+// One rate budget for the whole process: parallel snapshots and jobs share it instead of each throttling alone
+const API_RATE_LIMIT = parseInt(process.env.API_RATE_LIMIT, 10) || 5; // Requests per API_RATE_INTERVAL_MS
+const API_RATE_INTERVAL_MS = 1000;
+const API_MAX_RETRIES = 8;
+const API_BASE_BACKOFF_MS = 1000;
+const API_MAX_BACKOFF_MS = 60000;
+const CIRCUIT_FAILURE_THRESHOLD = 5; // Consecutive failed attempts before a host is considered down
+const CIRCUIT_COOLDOWN_MS = 30000;
+const API_CACHE_TTL_MS = 10 * 60 * 1000; // Token metadata and decimals rarely change
+
+const waitForApiSlot = pThrottle({ limit: API_RATE_LIMIT, interval: API_RATE_INTERVAL_MS })(() => {});
+const apiCircuits = new Map(); // host -> { failures, openUntil }
+const apiCache = new Map(); // url -> { expiresAt, promise }
+let apiPausedUntil = 0; // Set by 429 Retry-After, pauses every caller
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper: Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (header) => {
+    if (!header) return null;
+    const seconds = Number(header);
+    const delay = Number.isNaN(seconds) ? new Date(header).getTime() - Date.now() : seconds * 1000;
+    return Number.isFinite(delay) ? Math.max(delay, 0) : null;
+};
+
+const recordApiFailure = (host) => {
+    const circuit = apiCircuits.get(host) || { failures: 0, openUntil: 0 };
+    circuit.failures += 1;
+    if (circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+        circuit.openUntil = Date.now() + CIRCUIT_COOLDOWN_MS;
+        console.error(`Circuit open for ${host} after ${circuit.failures} consecutive failures; pausing ${CIRCUIT_COOLDOWN_MS}ms.`);
+    }
+    apiCircuits.set(host, circuit);
+};
+
+// After the cooldown the circuit is half-open: the next request goes through, one more failure opens it again
+const assertCircuitClosed = (host) => {
+    const circuit = apiCircuits.get(host);
+    if (circuit && circuit.openUntil > Date.now()) {
+        throw createHttpError(503, `Upstream ${host} is unavailable; retry in ${Math.ceil((circuit.openUntil - Date.now()) / 1000)}s.`);
+    }
+};
+
+// Helper: GET (or `options`) an upstream URL through the shared rate budget and circuit breaker.
+// Network errors, 5xx and 429 are retried with backoff; any other response, 404 included, is returned to the caller.
+const apiFetch = async (url, { retries = API_MAX_RETRIES, ...options } = {}) => {
+    if (isReplayingFixtures()) {
+        return replayFixtureResponse(url);
+    }
+    const { host } = new URL(url);
+    let backoff = API_BASE_BACKOFF_MS;
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        assertCircuitClosed(host);
+        if (apiPausedUntil > Date.now()) {
+            await sleep(apiPausedUntil - Date.now());
+        }
+        await waitForApiSlot();
+
+        let retryDelay = backoff;
+        try {
+            const response = await fetch(url, options);
+            if (response.status === 429) {
+                retryDelay = parseRetryAfter(response.headers.get('Retry-After')) ?? backoff;
+                apiPausedUntil = Math.max(apiPausedUntil, Date.now() + retryDelay);
+                console.warn(`Rate limit hit for ${url}. Retrying in ${retryDelay}ms... (attempt ${attempt})`);
+            } else if (response.status >= 500) {
+                recordApiFailure(host);
+                console.error(`Non-OK response (${response.status}) for ${url}. Retrying in ${backoff}ms... (attempt ${attempt})`);
+            } else {
+                apiCircuits.delete(host);
+                return recordFixtureResponse(url, response);
+            }
+        } catch (error) {
+            recordApiFailure(host);
+            console.error(`Error fetching ${url}: ${error.message}. Retrying in ${backoff}ms... (attempt ${attempt})`);
+        }
+
+        if (attempt < retries) {
+            assertCircuitClosed(host); // Fail fast instead of waiting out a backoff on a host that is down
+            await sleep(retryDelay);
+        }
+        backoff = Math.min(backoff * 2, API_MAX_BACKOFF_MS);
+    }
+    throw createHttpError(502, `Failed to fetch ${url} after ${retries} attempts`);
+};
+
+// Helper: apiFetch and parse the JSON body, failing on non-OK statuses (404 stays a 404)
+const apiFetchJson = async (url, options) => {
+    const response = await apiFetch(url, options);
+    if (!response.ok) {
+        throw createHttpError(response.status === 404 ? 404 : 502, `Upstream request failed (${response.status} ${response.statusText}): ${url}`);
+    }
+    return response.json();
+};
+
+// Helper: apiFetchJson with a TTL cache. Concurrent callers share the pending request; failures are not cached.
+const cachedApiFetchJson = (url, ttlMs = API_CACHE_TTL_MS) => {
+    // Recordings must see every response and replays must not leak into the live cache
+    if (fixtureContext.getStore()) {
+        return apiFetchJson(url);
+    }
+    const cached = apiCache.get(url);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.promise;
+    }
+
+    const promise = apiFetchJson(url);
+    apiCache.set(url, { expiresAt: Date.now() + ttlMs, promise });
+    promise.catch(() => apiCache.delete(url));
+    return promise;
+};
+
+const bundledWhitelistFilePath = path.join(__dirname, 'whitelist.json'); // Seeds the managed whitelist on first start
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data'); // Persistent JSON state
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
 
 
 app.use(bodyParser.json());  // Support JSON-encoded bodies
+app.use(selectNetwork);  // Per-request network selection
+
+// Helper: Create an error carrying the HTTP status the route should answer with
+const createHttpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// Helper: Load a JSON state file, falling back to a default when it does not exist yet
+const loadJsonFile = (filePath, fallback) => {
+    if (!fs.existsSync(filePath)) {
+        return fallback;
+    }
+    return JSON.parse(fs.readFileSync(filePath));
+};
+
+// Helper: Write a JSON state file atomically (temp file + rename)
+const saveJsonFile = (filePath, data) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+};
+
+// ------------------ API Keys ------------------
+
+const apiKeysFilePath = path.join(DATA_DIR, 'apiKeys.json');
+const MASTER_API_KEY_ID = 'master'; // SECURE_TOKEN keeps working as an unrestricted key
+const ALL_ROUTES = '*'; // Grants every route except the key administration ones
+const ADMIN_ROUTE_PREFIXES = ['/apiKeys', '/whitelist', '/fees', '/stakingContracts'];
+const apiKeyContext = new AsyncLocalStorage();
+
+// Prefix every log line written while serving a request with the calling key's ID
+['log', 'info', 'warn', 'error'].forEach((level) => {
+    const write = console[level].bind(console);
+    console[level] = (...args) => {
+        const keyId = apiKeyContext.getStore();
+        return keyId ? write(`[key:${keyId}]`, ...args) : write(...args);
+    };
+});
+
+const loadApiKeys = () => loadJsonFile(apiKeysFilePath, {});
+
+// Helper: Keys are only stored as SHA-256 digests, so equal-length buffers can be compared in constant time
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest();
+
+const apiKeyMatches = (apiKey, digestHex) => crypto.timingSafeEqual(hashApiKey(apiKey), Buffer.from(digestHex, 'hex'));
+
+const getUsageDay = () => new Date().toISOString().slice(0, 10); // Quotas reset at 00:00 UTC
+
+// Helper: Key record as shown to admins (never includes the digest)
+const describeApiKey = ({ hash, ...apiKey }) => ({
+    ...apiKey,
+    requestsToday: apiKey.usage?.day === getUsageDay() ? apiKey.usage.count : 0,
+});
+
+// Helper: Resolve the key in an `Authorization: Bearer <key>` header. Issued keys look like `<keyId>.<secret>`.
+const authenticateApiKey = (authorization) => {
+    const presented = /^Bearer (.+)$/.exec(authorization || '')?.[1];
+    if (!presented) {
+        throw createHttpError(401, 'Unauthorized');
+    }
+    if (SECURE_TOKEN && apiKeyMatches(presented, hashApiKey(SECURE_TOKEN).toString('hex'))) {
+        return { id: MASTER_API_KEY_ID, label: 'SECURE_TOKEN', allowedRoutes: [ALL_ROUTES, ...ADMIN_ROUTE_PREFIXES], dailyQuota: null, expiresAt: null, creditWallets: [] };
+    }
+
+    const apiKeys = loadApiKeys();
+    const keyId = presented.split('.')[0];
+    const apiKey = Object.hasOwn(apiKeys, keyId) ? apiKeys[keyId] : null;
+    if (!apiKey || !apiKeyMatches(presented, apiKey.hash)) {
+        throw createHttpError(401, 'Unauthorized');
+    }
+    if (apiKey.revokedAt) {
+        throw createHttpError(401, `API key ${apiKey.id} has been revoked`);
+    }
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+        throw createHttpError(401, `API key ${apiKey.id} expired at ${apiKey.expiresAt}`);
+    }
+    return apiKey;
+};
 
-// Middleware to check authorization token for protected routes
+// Helper: `*` covers every route but the admin ones, which have to be granted explicitly
+const isRouteAllowed = (apiKey, routePath) => {
+    const adminPrefix = ADMIN_ROUTE_PREFIXES.find(prefix => routePath.startsWith(prefix));
+    if (adminPrefix) {
+        return apiKey.allowedRoutes.includes(adminPrefix);
+    }
+    return apiKey.allowedRoutes.includes(ALL_ROUTES) || apiKey.allowedRoutes.includes(routePath);
+};
+
+// Helper: Stored jobs, snapshots, distributions and fixtures are only visible to the key that created them (and the master key)
+const isOwnedByApiKey = (req, resource) => req.apiKeyId === MASTER_API_KEY_ID || resource.apiKeyId === req.apiKeyId;
+
+// Helper: Count a request against the key's daily quota, refusing it once the quota is used up
+const consumeApiKeyQuota = (apiKey) => {
+    if (apiKey.id === MASTER_API_KEY_ID) return;
+
+    const apiKeys = loadApiKeys();
+    const stored = apiKeys[apiKey.id];
+    const day = getUsageDay();
+    const count = stored.usage?.day === day ? stored.usage.count : 0;
+    if (stored.dailyQuota !== null && count >= stored.dailyQuota) {
+        throw createHttpError(429, `API key ${apiKey.id} has used its daily quota of ${stored.dailyQuota} requests`);
+    }
+
+    stored.usage = { day, count: count + 1 };
+    stored.lastUsedAt = new Date().toISOString();
+    saveJsonFile(apiKeysFilePath, apiKeys);
+};
+
+// Middleware to check the API key for protected routes; the rest of the request runs as that key
 const checkToken = (req, res, next) => {
-    const token = req.headers.authorization;
-    if (token === `Bearer ${SECURE_TOKEN}`) {
-        next();
-    } else {
-        res.status(401).json({ error: 'Unauthorized' });
+    let apiKey;
+    try {
+        apiKey = authenticateApiKey(req.headers.authorization);
+        res.set('X-Api-Key-Id', apiKey.id);
+
+        const routePath = req.route?.path || req.path;
+        if (!isRouteAllowed(apiKey, routePath)) {
+            throw createHttpError(403, `API key ${apiKey.id} is not allowed to call ${routePath}`);
+        }
+        consumeApiKeyQuota(apiKey);
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ error: error.message, apiKeyId: apiKey?.id });
     }
+
+    req.apiKeyId = apiKey.id;
+    req.apiKey = apiKey;
+    const json = res.json.bind(res);
+    res.json = (body) => json(body && typeof body === 'object' && !Array.isArray(body) ? { ...body, apiKeyId: apiKey.id } : body);
+    apiKeyContext.run(apiKey.id, next);
 };
 
 // New Authorization Endpoint for Make.com to verify connection
 app.post('/authorization', (req, res) => {
     try {
-        const token = req.headers.authorization;
-        if (token === `Bearer ${SECURE_TOKEN}`) {
-            res.json({ message: "Authorization successful" });
-        } else {
-            res.status(401).json({ error: "Unauthorized" });
+        const apiKey = authenticateApiKey(req.headers.authorization);
+        res.set('X-Api-Key-Id', apiKey.id);
+        res.json({
+            message: "Authorization successful",
+            apiKeyId: apiKey.id,
+            label: apiKey.label,
+            allowedRoutes: apiKey.allowedRoutes,
+            expiresAt: apiKey.expiresAt,
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Helper: Validate the settings of a key to issue
+const normalizeApiKeyOptions = ({ label, allowedRoutes = [ALL_ROUTES], dailyQuota = null, expiresAt = null, creditWallets = [] }) => {
+    if (typeof label !== 'string' || !label.trim()) {
+        throw createHttpError(400, 'label is required');
+    }
+    if (!Array.isArray(allowedRoutes) || allowedRoutes.length === 0 || allowedRoutes.some(route => typeof route !== 'string' || !(route === ALL_ROUTES || route.startsWith('/')))) {
+        throw createHttpError(400, `allowedRoutes must be a non-empty list of route paths (e.g. "/nftSnapshotDraw") or "${ALL_ROUTES}"`);
+    }
+    if (dailyQuota !== null && !(Number.isInteger(dailyQuota) && dailyQuota > 0)) {
+        throw createHttpError(400, 'dailyQuota must be a positive integer, or null for no quota');
+    }
+    if (expiresAt !== null && (isNaN(Date.parse(expiresAt)) || new Date(expiresAt) <= new Date())) {
+        throw createHttpError(400, 'expiresAt must be a date in the future, or null for a key that does not expire');
+    }
+    if (!Array.isArray(creditWallets)) {
+        throw createHttpError(400, 'creditWallets must be a list of wallet addresses');
+    }
+    creditWallets.forEach((wallet) => {
+        try {
+            new Address(wallet);
+        } catch (error) {
+            throw createHttpError(400, `Invalid credit wallet address "${wallet}"`);
+        }
+    });
+    return {
+        label: label.trim(),
+        allowedRoutes: [...new Set(allowedRoutes)],
+        dailyQuota,
+        expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString(),
+        creditWallets: [...new Set(creditWallets)],
+    };
+};
+
+// List API Keys Endpoint
+app.get('/apiKeys', checkToken, (req, res) => {
+    try {
+        res.json({ apiKeys: Object.values(loadApiKeys()).map(describeApiKey) });
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Issue API Key Endpoint. The key itself is only returned here; the store keeps its digest.
+app.post('/apiKeys', checkToken, (req, res) => {
+    try {
+        const options = normalizeApiKeyOptions(req.body);
+        const id = `key_${crypto.randomBytes(6).toString('hex')}`;
+        const apiKey = `${id}.${crypto.randomBytes(24).toString('base64url')}`;
+
+        const apiKeys = loadApiKeys();
+        apiKeys[id] = {
+            id,
+            ...options,
+            hash: hashApiKey(apiKey).toString('hex'),
+            createdAt: new Date().toISOString(),
+            createdBy: req.apiKeyId,
+            revokedAt: null,
+            usage: null,
+        };
+        saveJsonFile(apiKeysFilePath, apiKeys);
+        console.log(`Issued API key ${id} (${options.label})`);
+
+        res.status(201).json({
+            ...describeApiKey(apiKeys[id]),
+            apiKey,
+            message: 'Store this key now; it cannot be retrieved again.',
+        });
+    } catch (error) {
+        console.error('Error issuing API key:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Update API Key Endpoint (label, allowed routes, quota, expiry and credit wallets; the key itself stays the same)
+app.patch('/apiKeys/:id', checkToken, (req, res) => {
+    try {
+        const apiKeys = loadApiKeys();
+        const apiKey = Object.hasOwn(apiKeys, req.params.id) ? apiKeys[req.params.id] : null;
+        if (!apiKey) {
+            return res.status(404).json({ error: `Unknown API key "${req.params.id}"` });
+        }
+        if (apiKey.revokedAt) {
+            return res.status(409).json({ error: `API key ${apiKey.id} has been revoked` });
         }
+
+        const { label, allowedRoutes, dailyQuota, expiresAt, creditWallets } = apiKey;
+        Object.assign(apiKey, normalizeApiKeyOptions({ label, allowedRoutes, dailyQuota, expiresAt, creditWallets, ...req.body }));
+        apiKey.updatedAt = new Date().toISOString();
+        saveJsonFile(apiKeysFilePath, apiKeys);
+        console.log(`Updated API key ${apiKey.id} (${apiKey.label})`);
+        res.json(describeApiKey(apiKey));
+    } catch (error) {
+        console.error('Error updating API key:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Revoke API Key Endpoint. Revoked keys stay listed so past usage can still be attributed.
+app.delete('/apiKeys/:id', checkToken, (req, res) => {
+    try {
+        const apiKeys = loadApiKeys();
+        const apiKey = Object.hasOwn(apiKeys, req.params.id) ? apiKeys[req.params.id] : null;
+        if (!apiKey) {
+            return res.status(404).json({ error: `Unknown API key "${req.params.id}"` });
+        }
+
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date().toISOString();
+            apiKey.revokedBy = req.apiKeyId;
+            saveJsonFile(apiKeysFilePath, apiKeys);
+            console.log(`Revoked API key ${apiKey.id} (${apiKey.label})`);
+        }
+        res.json({ ...describeApiKey(apiKey), message: `API key ${apiKey.id} revoked.` });
     } catch (error) {
+        console.error('Error revoking API key:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 // Helper function to fetch token decimals
 const getTokenDecimals = async (tokenTicker) => {
-    const apiUrl = `https://api.multiversx.com/tokens/${tokenTicker}`;
-    const response = await fetch(apiUrl);
-    if (!response.ok) {
-        throw new Error(`Failed to fetch token info: ${response.statusText}`);
-    }
-    const tokenInfo = await response.json();
+    const tokenInfo = await cachedApiFetchJson(`${getApiUrl()}/tokens/${tokenTicker}`);
     return tokenInfo.decimals || 0;
 };
 
@@ -79,12 +509,15 @@ const convertAmountToBlockchainValue = (amount, decimals) => {
     return new BigNumber(amount).multipliedBy(factor).toFixed(0);
 };
 
+// Helper: Exact decimal string for a raw integer amount ("1500000000000000000", 18 -> "1.500000000000000000")
+const formatTokenAmount = (value, decimals) => new BigNumber(value.toString()).shiftedBy(-decimals).toFixed(decimals);
+
 const checkTransactionStatus = async (txHash, retries = 40, delay = 5000) => {
-    const txStatusUrl = `https://api.multiversx.com/transactions/${txHash}`;
+    const txStatusUrl = `${getApiUrl()}/transactions/${txHash}`;
 
     for (let i = 0; i < retries; i++) {
         try {
-            const response = await fetch(txStatusUrl);
+            const response = await apiFetch(txStatusUrl, { retries: 1 }); // This loop already retries
 
             // If transaction is not yet visible (404), that's normal for new transactions
             // Just wait and retry rather than throwing an error
@@ -130,11 +563,19 @@ const generateCsv = async (data) => {
             address: row.address || row.owner,
             identifier: row.identifier || '',
             balance: row.balance || '',
+            ...(row.rawBalance !== undefined ? { rawBalance: row.rawBalance } : {}),
             metadataFileName: row.metadataFileName || '',
-            attributes: row.attributes ? JSON.stringify(row.attributes) : ''
+            attributes: row.attributes ? JSON.stringify(row.attributes) : '',
+            ...(row.location !== undefined ? { location: row.location } : {}),
+            ...(row.rarityRank !== undefined ? { rarityRank: row.rarityRank, rarityScore: row.rarityScore, rarityTier: row.rarityTier } : {})
         });
     });
 
+    return generateCsvFromRows(csvData);
+};
+
+// Helper function to format any list of flat objects as a CSV string (headers from the first row)
+const generateCsvFromRows = (rows) => {
     return new Promise((resolve, reject) => {
         const csvStream = formatCsv({ headers: true });
         const chunks = [];
@@ -143,62 +584,51 @@ const generateCsv = async (data) => {
         csvStream.on('end', () => resolve(chunks.join('')));
         csvStream.on('error', reject);
 
-        csvData.forEach((row) => csvStream.write(row));
+        rows.forEach((row) => csvStream.write(row));
         csvStream.end();
     });
 };
 
-// Helper function to fetch NFT owners with retry and exponential backoff
+// Helper function to fetch NFT owners in batches through the shared API client
 const fetchNftOwnersInBatches = async (collectionTicker, includeSmartContracts) => {
-    const apiProvider = "https://api.multiversx.com";
+    const apiProvider = getApiUrl();
     const MAX_SIZE = 100;
     let addressesArr = [];
 
     // Fetch total NFT count
-    const response = await fetch(`${apiProvider}/collections/${collectionTicker}/nfts/count`);
-    const tokensNumber = parseInt(await response.text(), 10);
-
-    // Retry logic with exponential backoff
-    const fetchWithRetry = async (url, retries = 5, delay = 1000) => {
-        for (let attempt = 1; attempt <= retries; attempt++) {
-            try {
-                const response = await fetch(url);
-                if (!response.ok) throw new Error(`HTTP Error ${response.status}`);
-                return await response.json();
-            } catch (error) {
-                console.error(`Error fetching data (attempt ${attempt}): ${error.message}`);
-                if (attempt === retries) throw error;
-                await new Promise(resolve => setTimeout(resolve, delay * attempt)); // Exponential backoff
-            }
-        }
-    };
+    const tokensNumber = parseInt(await apiFetchJson(`${apiProvider}/collections/${collectionTicker}/nfts/count`), 10);
 
-    // Fetch data in batches to prevent rate limits
+    // Fetch data in batches; the client's rate budget paces them, two in flight at a time.
+    // A failed batch fails the whole snapshot: a partial owner list would silently skew the draw.
     const makeCalls = async () => {
         const repeats = Math.ceil(tokensNumber / MAX_SIZE);
-        const throttle = pThrottle({ limit: 2, interval: 1000 }); // Adjust limit dynamically if needed
+        let batchError = null;
 
-        const throttled = throttle(async (index) => {
-            const url = `${apiProvider}/collections/${collectionTicker}/nfts?withOwner=true&from=${index * MAX_SIZE}&size=${MAX_SIZE}`;
+        const fetchBatch = async (index) => {
+            if (batchError) return; // No point fetching the rest once a batch has failed
             try {
-                const data = await fetchWithRetry(url);
+                reportJobProgress({ stage: 'fetchNftOwners', fetched: addressesArr.length, total: tokensNumber });
+                const url = `${apiProvider}/collections/${collectionTicker}/nfts?withOwner=true&from=${index * MAX_SIZE}&size=${MAX_SIZE}`;
+                const data = await apiFetchJson(url);
                 const addrs = data.map((token) => ({
                     owner: token.owner,
                     identifier: token.identifier,
                     metadataFileName: getMetadataFileName(token.attributes),
-                    attributes: token.metadata?.attributes || []
+                    attributes: token.metadata?.attributes || [],
+                    timestamp: token.timestamp // Creation time, used by historical snapshots
                 }));
                 addressesArr.push(...addrs);
             } catch (error) {
                 console.error(`Failed in batch ${index}: ${error.message}`);
+                batchError = batchError || createHttpError(502, `Failed to fetch the owners of ${collectionTicker} (batch ${index}): ${error.message}`);
             }
-        });
+        };
 
-        const promises = [];
-        for (let step = 0; step < repeats; step++) {
-            promises.push(throttled(step));
+        // Batches never reject, so no other in-flight batch is left with an unhandled rejection
+        await asyncPool(2, Array.from({ length: repeats }, (_, step) => step), fetchBatch);
+        if (batchError) {
+            throw batchError;
         }
-        await Promise.all(promises);
     };
 
     await makeCalls();
@@ -236,14 +666,202 @@ const getMetadataFileName = (attributes) => {
     return metadataKey.split('/')?.[1].split('.')?.[0];
 };
 
+// ------------------ NFT Trait Filters ------------------
+
+const TRAIT_OPERATORS = ['=', '!=', 'in', 'notIn', '>', '>=', '<', '<='];
+const NUMERIC_TRAIT_OPERATORS = ['>', '>=', '<', '<='];
+
+// Trait types and values compare ignoring case and whitespace ("Gold Hat" matches "goldhat")
+const normalizeTraitText = (value) => String(value).replace(/\s+/g, '').toLowerCase();
+
+// Helper: Build a validated { match, conditions } trait filter from a request (or prize/rule) body.
+// `traitFilters` is either a list of conditions (all must match) or { match: "all" | "any", conditions };
+// the legacy traitType + traitValue pair is an equality condition. Returns null when nothing filters.
+const buildTraitFilter = ({ traitType, traitValue, traitFilters } = {}) => {
+    if (traitFilters === undefined) {
+        return traitType && traitValue
+            ? { match: 'all', conditions: [{ traitType, operator: '=', value: traitValue }] }
+            : null;
+    }
+    if (traitType || traitValue) {
+        throw createHttpError(400, 'Use either traitFilters or traitType/traitValue, not both');
+    }
+    if (!traitFilters || typeof traitFilters !== 'object') {
+        throw createHttpError(400, 'traitFilters must be a list of conditions or an object with match and conditions');
+    }
+
+    const filter = Array.isArray(traitFilters)
+        ? { match: 'all', conditions: traitFilters }
+        : { match: traitFilters.match || 'all', conditions: traitFilters.conditions };
+
+    if (filter.match !== 'all' && filter.match !== 'any') {
+        throw createHttpError(400, 'traitFilters.match must be "all" or "any"');
+    }
+    if (!Array.isArray(filter.conditions) || filter.conditions.length === 0) {
+        throw createHttpError(400, 'traitFilters needs a non-empty list of conditions');
+    }
+    filter.conditions = filter.conditions.map((condition, index) => {
+        if (!condition || typeof condition !== 'object') {
+            throw createHttpError(400, `Trait condition ${index} must be an object with traitType, operator and value`);
+        }
+        const { traitType: type, operator = '=', value } = condition;
+        if (typeof type !== 'string' || !type.trim()) {
+            throw createHttpError(400, `Trait condition ${index} is missing its traitType`);
+        }
+        if (!TRAIT_OPERATORS.includes(operator)) {
+            throw createHttpError(400, `Trait condition ${index}: operator must be one of ${TRAIT_OPERATORS.join(', ')}`);
+        }
+        if ((operator === 'in' || operator === 'notIn') && !Array.isArray(value)) {
+            throw createHttpError(400, `Trait condition ${index}: "${operator}" needs a list of values`);
+        }
+        if (NUMERIC_TRAIT_OPERATORS.includes(operator) && !Number.isFinite(Number(value))) {
+            throw createHttpError(400, `Trait condition ${index}: "${operator}" needs a numeric value`);
+        }
+        return { traitType: type, operator, value };
+    });
+    return filter;
+};
+
+// Helper: Check one condition against an NFT's attributes. Negative operators ("!=", "notIn")
+// pass when no attribute of that type has the value, including when the NFT lacks the trait.
+const matchesTraitCondition = (attributes, { traitType, operator, value }) => {
+    const values = attributes
+        .filter(attribute => normalizeTraitText(attribute.trait_type) === normalizeTraitText(traitType))
+        .map(attribute => attribute.value);
+    const hasValue = (candidates) => values.some(v => candidates.map(normalizeTraitText).includes(normalizeTraitText(v)));
+
+    switch (operator) {
+        case '=': return hasValue([value]);
+        case '!=': return !hasValue([value]);
+        case 'in': return hasValue(value);
+        case 'notIn': return !hasValue(value);
+        default: return values.some(v => {
+            const text = String(v).trim();
+            const number = Number(text);
+            if (text === '' || Number.isNaN(number)) return false;
+            if (operator === '>') return number > Number(value);
+            if (operator === '>=') return number >= Number(value);
+            if (operator === '<') return number < Number(value);
+            return number <= Number(value);
+        });
+    }
+};
+
+// Helper: Check an NFT row against a trait filter built by buildTraitFilter (null matches everything)
+const matchesTraitFilter = (row, traitFilter) => {
+    if (!traitFilter) return true;
+    const attributes = Array.isArray(row.attributes) ? row.attributes : [];
+    const results = traitFilter.conditions.map(condition => matchesTraitCondition(attributes, condition));
+    return traitFilter.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+};
+
+// Helper: Apply the filters shared by the NFT snapshot routes: traits and metadata file names
+const filterNftRows = (rows, traitFilter, fileNamesList) => rows
+    .filter(row => matchesTraitFilter(row, traitFilter))
+    .filter(row => !(Array.isArray(fileNamesList) && fileNamesList.length > 0) || fileNamesList.includes(row.metadataFileName));
+
+// ------------------ NFT Rarity ------------------
+
+// Tiers by rarity rank, as the top percentage of the collection each tier reaches down to
+const RARITY_TIERS = [
+    { tier: 'legendary', topPercent: 1 },
+    { tier: 'epic', topPercent: 5 },
+    { tier: 'rare', topPercent: 15 },
+    { tier: 'uncommon', topPercent: 40 },
+    { tier: 'common', topPercent: 100 },
+];
+const DEFAULT_RARITY_TIER_WEIGHTS = { legendary: 10, epic: 5, rare: 3, uncommon: 2, common: 1 };
+
+// Helper: Rank every NFT of a collection by rarity. An NFT scores total / count for each of its trait values
+// (a missing trait counts as the value "none") plus total / count for its number of traits; higher is rarer.
+// The statistical rarity is the product of the trait value frequencies, the odds of rolling that exact NFT.
+const computeNftRarity = (rows) => {
+    const nfts = [...new Map(rows.filter(row => row.identifier).map(row => [row.identifier, row])).values()];
+    const total = nfts.length;
+
+    // Traits keyed by normalized type and value, keeping the first spelling seen for display
+    const traitTypes = new Map();
+    const traitsByNft = nfts.map(nft => {
+        const traits = new Map();
+        (Array.isArray(nft.attributes) ? nft.attributes : [])
+            .filter(attribute => attribute && attribute.trait_type !== undefined && attribute.value !== undefined && attribute.value !== '')
+            .forEach(attribute => {
+                const typeKey = normalizeTraitText(attribute.trait_type);
+                if (!traitTypes.has(typeKey)) traitTypes.set(typeKey, { traitType: String(attribute.trait_type), values: new Map() });
+                traits.set(typeKey, attribute.value);
+            });
+        return traits;
+    });
+    traitsByNft.forEach(traits => {
+        traitTypes.forEach((type, typeKey) => {
+            const value = traits.has(typeKey) ? traits.get(typeKey) : null;
+            const valueKey = value === null ? null : normalizeTraitText(value);
+            const entry = type.values.get(valueKey) || { value, count: 0 };
+            entry.count += 1;
+            type.values.set(valueKey, entry);
+        });
+    });
+    const traitCountFrequencies = new Map();
+    traitsByNft.forEach(traits => traitCountFrequencies.set(traits.size, (traitCountFrequencies.get(traits.size) || 0) + 1));
+
+    const scored = nfts.map((nft, index) => {
+        const traits = traitsByNft[index];
+        let statisticalScore = 0;
+        let statisticalRarity = 1;
+        traitTypes.forEach((type, typeKey) => {
+            const { count } = type.values.get(traits.has(typeKey) ? normalizeTraitText(traits.get(typeKey)) : null);
+            statisticalScore += total / count;
+            statisticalRarity *= count / total;
+        });
+        const traitCountScore = total / traitCountFrequencies.get(traits.size);
+        return {
+            identifier: nft.identifier,
+            owner: nft.owner,
+            traitCount: traits.size,
+            rarityScore: Number((statisticalScore + traitCountScore).toFixed(6)),
+            statisticalScore: Number(statisticalScore.toFixed(6)),
+            traitCountScore: Number(traitCountScore.toFixed(6)),
+            statisticalRarity,
+        };
+    });
+
+    // Equal scores share a rank (1, 2, 2, 4); ties are listed by identifier so the ranking is stable
+    scored.sort((a, b) => b.rarityScore - a.rarityScore || (a.identifier < b.identifier ? -1 : a.identifier > b.identifier ? 1 : 0));
+    const ranking = [];
+    scored.forEach((nft, index) => {
+        const previous = ranking[index - 1];
+        const rank = previous && previous.rarityScore === nft.rarityScore ? previous.rank : index + 1;
+        const { tier } = RARITY_TIERS.find(({ topPercent }) => (rank / total) * 100 <= topPercent);
+        ranking.push({ ...nft, rank, tier });
+    });
+
+    return {
+        totalSupply: total,
+        traits: [...traitTypes.values()].map(({ traitType, values }) => ({
+            traitType,
+            values: [...values.values()]
+                .map(({ value, count }) => ({ value: value === null ? 'none' : value, count, frequency: count / total }))
+                .sort((a, b) => a.count - b.count),
+        })),
+        traitCounts: [...traitCountFrequencies.entries()]
+            .map(([traitCount, count]) => ({ traitCount, count, frequency: count / total }))
+            .sort((a, b) => a.traitCount - b.traitCount),
+        ranking,
+    };
+};
+
+// Helper: Tag snapshot rows with their rarity rank, score and tier within the whole collection.
+// Snapshots that already hold every NFT of the collection pass it as `collectionRows` to skip a refetch.
+const attachNftRarity = async (collectionTicker, rows, collectionRows) => {
+    const { ranking } = computeNftRarity(collectionRows || await fetchNftOwnersInBatches(collectionTicker, true));
+    const rarityByIdentifier = new Map(ranking.map(({ identifier, rank, rarityScore, tier }) => [identifier, { rarityRank: rank, rarityScore, rarityTier: tier }]));
+    return rows.map(row => ({ ...row, ...rarityByIdentifier.get(row.identifier) }));
+};
+
 // Helper function to fetch token details
 const fetchTokenDetails = async (token) => {
     try {
-        const response = await fetch(`https://api.multiversx.com/tokens/${token}`);
-        if (!response.ok) {
-            throw new Error(`Failed to fetch token details for "${token}".`);
-        }
-        return await response.json();
+        return await cachedApiFetchJson(`${getApiUrl()}/tokens/${token}`);
     } catch (error) {
         console.error('Error fetching token details:', error.message);
         throw error;
@@ -266,49 +884,99 @@ const deriveWalletAddressFromPem = (pemContent) => {
     return signer.getAddress().toString();
 };
 
-// Load the whitelist file
-const loadWhitelist = () => {
-    if (!fs.existsSync(whitelistFilePath)) {
-        fs.writeFileSync(whitelistFilePath, JSON.stringify([], null, 2));
+// The REWARD market price always comes from mainnet (test networks have no price for their tokens). Sources are
+// tried in order; a fresh reading outside REWARD_PRICE_BAND of the recent readings' median is clamped to the band,
+// and when every source is down the last accepted price is used for up to REWARD_PRICE_STALE_MS.
+const REWARD_PRICE_SOURCES = [
+  { name: 'tokens', url: () => `${NETWORKS.mainnet.apiUrl}/tokens/${REWARD_TOKEN}` },
+  { name: 'xExchange', url: () => `${NETWORKS.mainnet.apiUrl}/mex/tokens/${REWARD_TOKEN}` },
+];
+const REWARD_PRICE_CACHE_MS = 60 * 1000;
+const REWARD_PRICE_BAND = 0.3; // +-30% around the median
+const REWARD_PRICE_WINDOW_MS = 60 * 60 * 1000; // Readings the median is taken over
+const REWARD_PRICE_STALE_MS = 24 * 60 * 60 * 1000;
+const rewardPriceFilePath = path.join(DATA_DIR, 'rewardPrice.json');
+let rewardPriceCache = null; // { expiresAt, promise }
+
+// Helper: First valid price from the sources, or null when none answers
+const fetchRewardPriceReading = async () => {
+  for (const source of REWARD_PRICE_SOURCES) {
+    try {
+      const { price } = await apiFetchJson(source.url(), { retries: 2 }); // Fall back quickly instead of retrying for minutes
+      const priceUsd = new BigNumber(price);
+      if (priceUsd.isFinite() && priceUsd.isGreaterThan(0)) {
+        return { priceUsd: priceUsd.toNumber(), source: source.name };
+      }
+      console.warn(`REWARD price source ${source.name} returned an invalid price: ${price}`);
+    } catch (error) {
+      console.warn(`REWARD price source ${source.name} failed: ${error.message}`);
     }
-    const data = fs.readFileSync(whitelistFilePath);
-    return JSON.parse(data);
+  }
+  return null;
 };
 
-// Check if a wallet is whitelisted
-const isWhitelisted = (walletAddress) => {
-    const whitelist = loadWhitelist();
-    return whitelist.some(entry => entry.walletAddress === walletAddress);
+const getMedian = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
 };
 
-// Helper: Fetch REWARD token price from MultiversX API
-const getRewardPrice = async () => {
-  try {
-    const response = await fetch('https://api.elrond.com/tokens?type=FungibleESDT&search=REWARD-cf6eac');
-    const data = await response.json();
-    const rewardPriceUsd = new BigNumber(data[0].price);
+// Helper: Read the price, apply the sanity band and remember the reading
+const loadRewardPrice = async () => {
+  const state = loadJsonFile(rewardPriceFilePath, { readings: [], accepted: null });
+  const now = Date.now();
+  const reading = await fetchRewardPriceReading();
 
-    if (!rewardPriceUsd.isFinite() || rewardPriceUsd.isZero()) {
-      throw new Error('Invalid REWARD price fetched from MultiversX API');
+  if (!reading) {
+    if (state.accepted && now - Date.parse(state.accepted.at) <= REWARD_PRICE_STALE_MS) {
+      console.warn(`No REWARD price source available, using the price accepted at ${state.accepted.at}.`);
+      return { ...state.accepted, stale: true };
     }
+    throw createHttpError(503, 'No REWARD price source is available');
+  }
 
-    return rewardPriceUsd.toNumber();
-  } catch (error) {
-    console.error('Error fetching REWARD price:', error);
-    throw error;
+  const recent = state.readings.filter(({ at }) => now - Date.parse(at) <= REWARD_PRICE_WINDOW_MS);
+  let { priceUsd } = reading;
+  if (recent.length > 0) {
+    const median = getMedian(recent.map(({ priceUsd: recentPrice }) => recentPrice));
+    const bounded = Number(Math.min(Math.max(priceUsd, median * (1 - REWARD_PRICE_BAND)), median * (1 + REWARD_PRICE_BAND)).toPrecision(12));
+    if (bounded !== priceUsd) {
+      console.warn(`REWARD price ${priceUsd} from ${reading.source} is outside the sanity band around ${median}; using ${bounded}.`);
+      priceUsd = bounded;
+    }
+  }
+
+  const at = new Date(now).toISOString();
+  const accepted = { priceUsd, source: reading.source, at, clamped: priceUsd !== reading.priceUsd };
+  saveJsonFile(rewardPriceFilePath, { readings: [...recent, { ...reading, at }], accepted });
+  return accepted;
+};
+
+// Helper: REWARD price with its source and time, cached for REWARD_PRICE_CACHE_MS
+const getRewardPriceQuote = () => {
+  if (!rewardPriceCache || rewardPriceCache.expiresAt <= Date.now()) {
+    const promise = loadRewardPrice();
+    rewardPriceCache = { expiresAt: Date.now() + REWARD_PRICE_CACHE_MS, promise };
+    promise.catch(() => {
+      rewardPriceCache = null;
+    });
   }
+  return rewardPriceCache.promise;
 };
 
+// Helper: Fetch REWARD token price
+const getRewardPrice = async () => (await getRewardPriceQuote()).priceUsd;
+
 // Helper: Calculate dynamic usage fee based on REWARD price
-const calculateDynamicUsageFee = async () => {
-  const rewardPrice = await getRewardPrice();
+const calculateDynamicUsageFee = async (usdFee = FIXED_USD_FEE, rewardPrice) => {
+  rewardPrice = rewardPrice ?? await getRewardPrice();
   
   if (rewardPrice <= 0) {
     throw new Error('Invalid REWARD token price');
   }
 
-  const rewardAmount = new BigNumber(FIXED_USD_FEE).dividedBy(rewardPrice);
-  const decimals = await getTokenDecimals(REWARD_TOKEN);
+  const rewardAmount = new BigNumber(usdFee).dividedBy(rewardPrice);
+  const decimals = await getTokenDecimals(getNetwork().rewardToken);
   
   // Ensure the amount is not too small or too large
   if (!rewardAmount.isFinite() || rewardAmount.isZero()) {
@@ -319,18 +987,18 @@ const calculateDynamicUsageFee = async () => {
 };
 
 // Helper: Send usage fee transaction
-const sendUsageFee = async (pemContent) => {
+const sendUsageFee = async (pemContent, { route, apiKeyId, params } = {}) => {
   const signer = UserSigner.fromPem(pemContent);
   const senderAddress = signer.getAddress();
   const receiverAddress = new Address(TREASURY_WALLET);
 
-  const accountOnNetwork = await provider.getAccount(senderAddress);
+  const accountOnNetwork = await getProvider().getAccount(senderAddress);
   const nonce = accountOnNetwork.nonce;
 
   // Calculate dynamic fee
-  const dynamicFeeAmount = await calculateDynamicUsageFee();
+  const { amount: dynamicFeeAmount } = await resolveUsageFee({ route, params, walletAddress: senderAddress.toString() });
 
-  const factoryConfig = new TransactionsFactoryConfig({ chainID: "1" });
+  const factoryConfig = new TransactionsFactoryConfig({ chainID: getNetwork().chainId });
   const factory = new TransferTransactionsFactory({ config: factoryConfig });
 
   const tx = factory.createTransactionForESDTTokenTransfer({
@@ -338,7 +1006,7 @@ const sendUsageFee = async (pemContent) => {
     receiver: receiverAddress,
     tokenTransfers: [
       new TokenTransfer({
-        token: new Token({ identifier: REWARD_TOKEN }),
+        token: new Token({ identifier: getNetwork().rewardToken }),
         amount: BigInt(dynamicFeeAmount),
       }),
     ],
@@ -348,7 +1016,15 @@ const sendUsageFee = async (pemContent) => {
   tx.gasLimit = BigInt(500000);
 
   await signer.sign(tx);
-  const txHash = await provider.sendTransaction(tx);
+  const txHash = await getProvider().sendTransaction(tx);
+  // Recorded right away so the credit ledger never mistakes the fee for a top-up
+  recordFeePayment(txHash.toString(), {
+    method: 'walletPem',
+    sender: senderAddress.toString(),
+    amount: dynamicFeeAmount,
+    route,
+    apiKeyId,
+  });
 
   const status = await checkTransactionStatus(txHash.toString());
   if (status.status === "fail") {
@@ -357,54 +1033,1345 @@ const sendUsageFee = async (pemContent) => {
   
   // Return txHash even if status is unknown, we'll consider it a success
   // The blockchain might just need more time to process it
-  return txHash.toString();
+  return { txHash: txHash.toString(), amount: dynamicFeeAmount };
 };
 
-// Middleware: Handle usage fee
-const handleUsageFee = async (req, res, next) => {
+const FEE_TX_MAX_AGE_MS = 60 * 60 * 1000; // A fee payment has to be used within an hour
+const FEE_PRICE_TOLERANCE = 0.05; // The REWARD price may move 5% between paying and calling
+const feePaymentsFilePath = path.join(DATA_DIR, 'feePayments.json'); // Fee tx hashes already spent
+const pendingFeeTxHashes = new Set(); // Hashes being verified right now, so a concurrent retry cannot spend them too
+
+// Helper: Remember a fee transaction as spent
+const recordFeePayment = (txHash, payment) => {
+  const feePayments = loadJsonFile(feePaymentsFilePath, {});
+  feePayments[txHash] = { ...payment, token: getNetwork().rewardToken, network: getNetwork().name, usedAt: new Date().toISOString() };
+  saveJsonFile(feePaymentsFilePath, feePayments);
+};
+
+// Helper: Sum the REWARD transfers to the treasury in a transaction from the API (covers ESDTTransfer and MultiESDTNFTTransfer)
+const getTreasuryPayment = (tx, rewardToken) => (tx.operations || [])
+  .filter(operation => operation.action === 'transfer' && operation.identifier === rewardToken && operation.receiver === TREASURY_WALLET && operation.sender === tx.sender)
+  .reduce((total, operation) => total + BigInt(operation.value || 0), 0n);
+
+// Helper: Check on-chain that `feeTxHash` paid the usage fee to the treasury, then mark it as spent.
+// Fee transactions are public, so only payments sent from one of `linkedWallets` are accepted (null accepts any sender).
+const verifyFeePayment = async (feeTxHash, { route, apiKeyId, params, linkedWallets }) => {
+  if (typeof feeTxHash !== 'string' || !/^[0-9a-f]{64}$/i.test(feeTxHash)) {
+    throw createHttpError(400, 'feeTxHash must be a 64-character hex transaction hash');
+  }
+  const txHash = feeTxHash.toLowerCase();
+  if (pendingFeeTxHashes.has(txHash) || loadJsonFile(feePaymentsFilePath, {})[txHash]) {
+    throw createHttpError(409, `Fee transaction ${txHash} has already been used`);
+  }
+  pendingFeeTxHashes.add(txHash);
   try {
-    // If request has already paid a fee in this session, skip duplicated processing
-    if (req.usageFeeAlreadyProcessed) {
-      return next();
+    // Give a freshly sent payment a minute to complete
+    const { status } = await checkTransactionStatus(txHash, 12, 5000);
+    if (status !== 'success') {
+      // 425 (Too Early) marks the pending case as worth retrying, also for Idempotency-Key replays
+      throw status === 'fail'
+        ? createHttpError(400, `Fee transaction ${txHash} failed on-chain`)
+        : createHttpError(425, `Fee transaction ${txHash} is not completed yet; retry once it is`);
     }
 
-    const pemContent = req.body.walletPem;
-    if (!pemContent) {
-      console.warn('No PEM content provided, skipping usage fee processing.');
-      return next();
+    const tx = await apiFetchJson(`${getApiUrl()}/transactions/${txHash}`);
+    if (linkedWallets && !linkedWallets.includes(tx.sender)) {
+      throw createHttpError(403, `Fee transaction ${txHash} was sent by ${tx.sender}, which is not linked to API key ${apiKeyId}`);
+    }
+    const rewardToken = getNetwork().rewardToken;
+    const paidAt = tx.timestamp * 1000;
+    if (!(Date.now() - paidAt <= FEE_TX_MAX_AGE_MS)) {
+      throw createHttpError(400, `Fee transaction ${txHash} is older than ${FEE_TX_MAX_AGE_MS / 60000} minutes`);
+    }
+
+    const paid = getTreasuryPayment(tx, rewardToken);
+    // A quoted amount is exact; otherwise the price may have moved since the caller looked it up
+    const fee = await resolveUsageFee({ route, params, walletAddress: tx.sender });
+    const required = BigInt(fee.quoteId ? fee.amount : new BigNumber(fee.amount).multipliedBy(1 - FEE_PRICE_TOLERANCE).toFixed(0));
+    if (paid === 0n) {
+      throw createHttpError(400, `Fee transaction ${txHash} does not transfer ${rewardToken} to the treasury ${TREASURY_WALLET}`);
     }
+    if (paid < required) {
+      throw createHttpError(400, `Fee transaction ${txHash} paid ${paid} ${rewardToken} (raw units), at least ${required} is required`);
+    }
+
+    // A treasury scan may have credited the payment as a top-up before the caller spent it
+    if (isCreditedTopUp(txHash)) {
+      reclaimCreditedTopUp(txHash, { route, apiKeyId });
+    }
+    recordFeePayment(txHash, {
+      method: 'feeTxHash',
+      sender: tx.sender,
+      amount: paid.toString(),
+      route,
+      apiKeyId,
+      paidAt: new Date(paidAt).toISOString(),
+    });
+    console.log(`Accepted fee transaction ${txHash} from ${tx.sender} (${paid} ${rewardToken}).`);
+    return { txHash, sender: tx.sender, amount: paid.toString() };
+  } finally {
+    pendingFeeTxHashes.delete(txHash);
+  }
+};
+
+// Helper: Charge the usage fee of a request in the way it pays (walletPem, feeTxHash or credits)
+const chargeUsageFee = async (req, res) => {
+  const route = req.route?.path || req.path;
+  const { walletPem: pemContent, feeTxHash } = req.body;
+  if ([pemContent, feeTxHash, req.body.creditWallet].filter(Boolean).length > 1) {
+    throw createHttpError(400, 'Pay the usage fee with only one of walletPem, feeTxHash or creditWallet');
+  }
+  resolveFeeRefundMode(req.body.feeRefund); // Reject an invalid choice before anything is charged
+  // Keys linked to a single wallet pay from its credits unless the request pays another way
+  const creditWallet = resolveCreditWallet(req, { implicit: !pemContent && !feeTxHash });
+  if (!pemContent && !feeTxHash && !creditWallet) {
+    console.warn('No PEM content, feeTxHash or credit wallet provided, skipping usage fee processing.');
+    return;
+  }
+
+  // The caller already paid the treasury from its own wallet
+  if (feeTxHash) {
+    const linkedWallets = req.apiKeyId === MASTER_API_KEY_ID ? null : (req.apiKey.creditWallets || []);
+    const payment = await verifyFeePayment(feeTxHash, { route, apiKeyId: req.apiKeyId, params: req.body, linkedWallets });
+    req.usageFeeHash = payment.txHash;
+    trackFeeCharge(req, res, { method: 'feeTxHash', payer: payment.sender, amount: payment.amount, reference: payment.txHash });
+    req.usageFeeAlreadyProcessed = true;
+    return;
+  }
+
+  if (creditWallet) {
+    if (getWhitelistDiscount(creditWallet) === 100) {
+      console.log(`Wallet ${creditWallet} is whitelisted. Skipping usage fee.`);
+      return;
+    }
+    req.creditCharge = await chargeCredits(creditWallet, { route, apiKeyId: req.apiKeyId, params: req.body });
+    res.set({ 'X-Credit-Charge-Id': req.creditCharge.chargeId, 'X-Credit-Balance': req.creditCharge.balance });
+    trackFeeCharge(req, res, { method: 'credits', payer: creditWallet, amount: req.creditCharge.amount, reference: req.creditCharge.chargeId });
+    req.usageFeeAlreadyProcessed = true;
+    return;
+  }
 
-    const walletAddress = UserSigner.fromPem(pemContent).getAddress().toString();
+  const walletAddress = UserSigner.fromPem(pemContent).getAddress().toString();
 
-    if (isWhitelisted(walletAddress)) {
-      console.log(`Wallet ${walletAddress} is whitelisted. Skipping usage fee.`);
+  if (getWhitelistDiscount(walletAddress) === 100) {
+    console.log(`Wallet ${walletAddress} is whitelisted. Skipping usage fee.`);
+    return;
+  }
+
+  const { txHash, amount } = await sendUsageFee(pemContent, { route, apiKeyId: req.apiKeyId, params: req.body });
+  req.usageFeeHash = txHash;
+  trackFeeCharge(req, res, { method: 'walletPem', payer: walletAddress, amount, reference: txHash });
+
+  // Mark this request as having processed a usage fee to prevent double charging
+  req.usageFeeAlreadyProcessed = true;
+};
+
+// Middleware: Handle usage fee
+const handleUsageFee = async (req, res, next) => {
+  try {
+    // If request has already paid a fee in this session, skip duplicated processing
+    if (req.usageFeeAlreadyProcessed) {
       return next();
     }
 
-    const txHash = await sendUsageFee(pemContent);
-    req.usageFeeHash = txHash;
-    
-    // Mark this request as having processed a usage fee to prevent double charging
-    req.usageFeeAlreadyProcessed = true;
-    
+    // Replays are charged like live calls, with the price and payment checked on the live network
+    await fixtureContext.exit(() => chargeUsageFee(req, res));
     next();
   } catch (error) {
     console.error('Error processing usage fee:', error.message);
-    res.status(400).json({ error: error.message });
+    res.status(error.statusCode || 400).json({ error: error.message });
   }
 };
 
 // Apply usage fee middleware to all routes
 // app.use(handleUsageFee);
 
-// Helper function to fetch ESDT token details (including decimals)
-const fetchTokenDecimals = async (token) => {
-    try {
-        const response = await fetch(`https://api.multiversx.com/tokens/${token}`);
-        if (!response.ok) {
-            throw new Error(`Failed to fetch token details for "${token}".`);
+// ------------------ Prepaid Credits ------------------
+
+// Wallets top up by sending REWARD to the treasury; every such transfer that is not a usage fee payment is
+// credited to its sender, and paid calls made with `creditWallet` (or by a key linked to one wallet) are
+// deducted from that balance instead of broadcasting a fee transaction each time. A credited transfer that is
+// later presented as a `feeTxHash` is taken back out of the credits. Amounts are raw integer strings.
+
+const creditsDirPath = path.join(DATA_DIR, 'credits'); // One ledger per network
+const CREDIT_SYNC_INTERVAL_MS = 30 * 1000; // Balance reads rescan the treasury at most this often
+const CREDIT_SYNC_PAGE_SIZE = 50;
+const CREDIT_HISTORY_LIMIT = 1000; // Entries kept per wallet
+const CREDIT_ENTRY_TYPES = ['topUp', 'charge', 'voucher', 'feePayment']; // feePayment: a top-up spent as a feeTxHash
+const CREDIT_TOPUPS_SINCE = Number(process.env.CREDIT_TOPUPS_SINCE) || Math.floor(Date.now() / 1000); // Unix seconds; earlier transfers are not credited
+const creditSyncs = new Map(); // network -> pending sync, shared by concurrent callers
+
+fs.mkdirSync(creditsDirPath, { recursive: true });
+
+const getCreditLedgerFilePath = () => path.join(creditsDirPath, `${getNetwork().name}.json`);
+
+const loadCreditLedger = () => loadJsonFile(getCreditLedgerFilePath(), {
+  syncedUntil: CREDIT_TOPUPS_SINCE,
+  lastSyncedAt: null,
+  creditedTxHashes: {},
+  accounts: {},
+});
+
+// Helper: Save a ledger for every configured network that has none yet. The default CREDIT_TOPUPS_SINCE is the
+// time of the first start only if it is on disk; otherwise a restart would skip the top-ups sent in between.
+const initCreditLedgers = () => {
+  Object.values(NETWORKS)
+    .filter(({ apiUrl, gatewayUrl, chainId }) => apiUrl && gatewayUrl && chainId)
+    .forEach((network) => networkContext.run(network, () => {
+      if (!fs.existsSync(getCreditLedgerFilePath())) {
+        saveJsonFile(getCreditLedgerFilePath(), loadCreditLedger());
+      }
+    }));
+};
+
+const isCreditedTopUp = (txHash) => Boolean(loadCreditLedger().creditedTxHashes[txHash]);
+
+// Helper: Add an entry to a wallet's account, opening the account on its first top-up
+const postCreditEntry = (ledger, address, amount, entry) => {
+  const account = ledger.accounts[address] || (ledger.accounts[address] = { balance: '0', toppedUp: '0', spent: '0', history: [] });
+  const balance = BigInt(account.balance) + amount;
+  account.balance = balance.toString();
+  if (amount > 0n) {
+    account.toppedUp = (BigInt(account.toppedUp) + amount).toString();
+  } else {
+    account.spent = (BigInt(account.spent) - amount).toString();
+  }
+  account.history = [...account.history, { ...entry, amount: (amount < 0n ? -amount : amount).toString(), balanceAfter: account.balance }].slice(-CREDIT_HISTORY_LIMIT);
+  return account;
+};
+
+// Helper: Credit the REWARD transfers the treasury received since the last scan
+const fetchCreditTopUps = async () => {
+  const rewardToken = getNetwork().rewardToken;
+  const seen = new Set();
+  const topUps = [];
+  let after = loadCreditLedger().syncedUntil;
+
+  for (;;) {
+    const transfers = await apiFetchJson(`${getApiUrl()}/accounts/${TREASURY_WALLET}/transfers?receiver=${TREASURY_WALLET}&token=${rewardToken}&status=success&order=asc&size=${CREDIT_SYNC_PAGE_SIZE}&after=${after}`);
+    const txHashes = [...new Set(transfers.map(transfer => transfer.originalTxHash || transfer.txHash))].filter(txHash => !seen.has(txHash));
+    txHashes.forEach(txHash => seen.add(txHash));
+
+    // Transfer listings do not carry the ESDT amounts reliably, the transaction operations do
+    for (const txHash of txHashes) {
+      const tx = await apiFetchJson(`${getApiUrl()}/transactions/${txHash}`);
+      const amount = getTreasuryPayment(tx, rewardToken);
+      if (tx.status === 'success' && amount > 0n) {
+        topUps.push({ txHash, sender: tx.sender, amount, timestamp: tx.timestamp });
+      }
+    }
+
+    if (transfers.length < CREDIT_SYNC_PAGE_SIZE || txHashes.length === 0) break;
+    after = transfers[transfers.length - 1].timestamp;
+  }
+  return topUps;
+};
+
+// Helper: Take back a top-up from its sender's credits because the transaction is spent as a fee payment instead
+const reclaimCreditedTopUp = (txHash, { route, apiKeyId }) => {
+  const ledger = loadCreditLedger();
+  const sender = ledger.creditedTxHashes[txHash];
+  const topUp = ledger.accounts[sender].history.find(entry => entry.type === 'topUp' && entry.txHash === txHash);
+  const amount = BigInt(topUp?.amount ?? 0);
+  if (!topUp || BigInt(ledger.accounts[sender].balance) < amount) {
+    throw createHttpError(409, `Transaction ${txHash} was already credited as a prepaid top-up and has been spent`);
+  }
+
+  postCreditEntry(ledger, sender, -amount, { type: 'feePayment', txHash, route, apiKeyId, at: new Date().toISOString() });
+  saveJsonFile(getCreditLedgerFilePath(), ledger);
+  console.log(`Moved top-up ${txHash} of ${sender} out of the credits: it pays the usage fee of ${route}`);
+};
+
+// Helper: Bring the current network's ledger up to date with the treasury (at most every CREDIT_SYNC_INTERVAL_MS unless forced)
+const syncCreditTopUps = async ({ force = false } = {}) => {
+  const network = getNetwork().name;
+  const { lastSyncedAt } = loadCreditLedger();
+  if (!force && lastSyncedAt && Date.now() - new Date(lastSyncedAt).getTime() < CREDIT_SYNC_INTERVAL_MS) {
+    return;
+  }
+  if (!creditSyncs.has(network)) {
+    creditSyncs.set(network, fetchCreditTopUps()
+      .then((topUps) => {
+        // Read again after the awaits: charges may have been posted in the meantime
+        const ledger = loadCreditLedger();
+        const feePayments = loadJsonFile(feePaymentsFilePath, {});
+        topUps
+          .filter(({ txHash }) => !ledger.creditedTxHashes[txHash] && !feePayments[txHash] && !pendingFeeTxHashes.has(txHash))
+          .forEach(({ txHash, sender, amount, timestamp }) => {
+            postCreditEntry(ledger, sender, amount, { type: 'topUp', txHash, at: new Date(timestamp * 1000).toISOString() });
+            ledger.creditedTxHashes[txHash] = sender;
+            console.log(`Credited top-up ${txHash}: ${amount} ${getNetwork().rewardToken} (raw units) to ${sender}`);
+          });
+        ledger.syncedUntil = Math.max(ledger.syncedUntil, ...topUps.map(({ timestamp }) => timestamp));
+        ledger.lastSyncedAt = new Date().toISOString();
+        saveJsonFile(getCreditLedgerFilePath(), ledger);
+      })
+      .finally(() => creditSyncs.delete(network)));
+  }
+  await creditSyncs.get(network);
+};
+
+// Helper: The wallet a request pays from: `creditWallet`, or the only wallet linked to the calling key.
+// Keys may only spend the credits of wallets they are linked to; SECURE_TOKEN may spend any.
+const resolveCreditWallet = (req, { implicit }) => {
+  const { creditWallet } = req.body;
+  const linkedWallets = req.apiKey?.creditWallets || [];
+  if (!creditWallet) {
+    return implicit && linkedWallets.length === 1 ? linkedWallets[0] : null;
+  }
+  if (req.apiKeyId !== MASTER_API_KEY_ID && !linkedWallets.includes(creditWallet)) {
+    throw createHttpError(403, `API key ${req.apiKeyId} is not linked to credit wallet ${creditWallet}`);
+  }
+  return creditWallet;
+};
+
+// Helper: Deduct the route's price from a wallet's credits, rescanning the treasury first if the balance is short
+const chargeCredits = async (address, { route, apiKeyId, params }) => {
+  const { amount, usdFee, quoteId } = await resolveUsageFee({ route, params, walletAddress: address });
+  const price = BigInt(amount);
+  const balanceOf = () => BigInt(loadCreditLedger().accounts[address]?.balance || 0);
+  if (balanceOf() < price) {
+    await syncCreditTopUps({ force: true });
+  }
+
+  const ledger = loadCreditLedger();
+  const balance = BigInt(ledger.accounts[address]?.balance || 0);
+  if (balance < price) {
+    throw createHttpError(402, `Insufficient credits for ${address}: ${route} costs ${price} ${getNetwork().rewardToken} (raw units), the balance is ${balance}. Top up by sending ${getNetwork().rewardToken} to ${TREASURY_WALLET}.`);
+  }
+
+  const chargeId = crypto.randomUUID();
+  const account = postCreditEntry(ledger, address, -price, { type: 'charge', chargeId, route, apiKeyId, usdFee, quoteId, at: new Date().toISOString() });
+  saveJsonFile(getCreditLedgerFilePath(), ledger);
+  console.log(`Charged ${price} ${getNetwork().rewardToken} (raw units) to the credits of ${address} for ${route}`);
+  return { chargeId, amount: price.toString(), balance: account.balance };
+};
+
+// Helper: Check that the calling key may read a wallet's credits
+const assertCreditWalletAccess = (req, address) => {
+  if (req.apiKeyId !== MASTER_API_KEY_ID && !(req.apiKey.creditWallets || []).includes(address)) {
+    throw createHttpError(403, `API key ${req.apiKeyId} is not linked to credit wallet ${address}`);
+  }
+};
+
+// Credit Balance Endpoint
+app.get('/credits/:address', checkToken, async (req, res) => {
+  try {
+    const { address } = req.params;
+    assertCreditWalletAccess(req, address);
+    await syncCreditTopUps();
+
+    const ledger = loadCreditLedger();
+    const { balance = '0', toppedUp = '0', spent = '0' } = ledger.accounts[address] || {};
+    const decimals = await getTokenDecimals(getNetwork().rewardToken);
+    res.json({
+      address,
+      token: getNetwork().rewardToken,
+      balance,
+      balanceFormatted: formatTokenAmount(balance, decimals),
+      toppedUp,
+      spent,
+      treasury: TREASURY_WALLET,
+      lastSyncedAt: ledger.lastSyncedAt,
+    });
+  } catch (error) {
+    console.error('Error fetching credit balance:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Credit Usage History Endpoint (newest first; `type` is "topUp", "charge", "voucher" or "feePayment")
+app.get('/credits/:address/history', checkToken, async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { type } = req.query;
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    assertCreditWalletAccess(req, address);
+    if (!Number.isInteger(limit) || limit <= 0) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+    if (type !== undefined && !CREDIT_ENTRY_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${CREDIT_ENTRY_TYPES.map(entryType => `"${entryType}"`).join(', ')}` });
+    }
+    await syncCreditTopUps();
+
+    const history = (loadCreditLedger().accounts[address]?.history || [])
+      .filter(entry => !type || entry.type === type)
+      .reverse();
+    res.json({ address, token: getNetwork().rewardToken, total: history.length, history: history.slice(0, limit) });
+  } catch (error) {
+    console.error('Error fetching credit history:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ------------------ Whitelist ------------------
+
+// Whitelisted wallets get the usage fee discounted by their tier while the entry is in effect
+// (from `whitelistStart` until `whitelistEnd`, which may be null for no expiry).
+
+const whitelistFilePath = path.join(DATA_DIR, 'whitelist.json');
+const whitelistAuditFilePath = path.join(DATA_DIR, 'whitelistAudit.json');
+const WHITELIST_TIERS = { free: 100, discount50: 50 }; // tier -> percent off the usage fee
+const DEFAULT_WHITELIST_TIER = 'free';
+
+// Load the whitelist (object keyed by wallet address), seeding it from the bundled whitelist.json on first use
+const loadWhitelist = () => {
+    if (!fs.existsSync(whitelistFilePath)) {
+        const bundled = loadJsonFile(bundledWhitelistFilePath, []);
+        saveJsonFile(whitelistFilePath, Object.fromEntries(bundled.map(entry => [entry.walletAddress, {
+            ...entry,
+            whitelistEnd: entry.whitelistEnd || null,
+            tier: entry.tier || DEFAULT_WHITELIST_TIER,
+        }])));
+    }
+    return loadJsonFile(whitelistFilePath, {});
+};
+
+// Helper: Whether an entry is scheduled, active or expired at a given time
+const getWhitelistStatus = (entry, at = new Date()) => {
+    if (new Date(entry.whitelistStart) > at) return 'scheduled';
+    if (entry.whitelistEnd && new Date(entry.whitelistEnd) <= at) return 'expired';
+    return 'active';
+};
+
+const describeWhitelistEntry = (entry) => ({ ...entry, discountPercent: WHITELIST_TIERS[entry.tier], status: getWhitelistStatus(entry) });
+
+// Helper: Percent off the usage fee a wallet currently gets (0 when it is not whitelisted right now)
+const getWhitelistDiscount = (walletAddress) => {
+    const whitelist = loadWhitelist();
+    const entry = Object.hasOwn(whitelist, walletAddress) ? whitelist[walletAddress] : null;
+    return entry && getWhitelistStatus(entry) === 'active' ? WHITELIST_TIERS[entry.tier] : 0;
+};
+
+// Helper: Validate and normalise a whitelist entry, on top of the existing one when updating
+const normalizeWhitelistEntry = (walletAddress, input, existing = {}) => {
+    const { label, whitelistStart, whitelistEnd, tier } = { whitelistStart: new Date().toISOString(), whitelistEnd: null, tier: DEFAULT_WHITELIST_TIER, ...existing, ...input };
+    try {
+        new Address(walletAddress);
+    } catch (error) {
+        throw createHttpError(400, `Invalid wallet address "${walletAddress}"`);
+    }
+    if (typeof label !== 'string' || !label.trim()) {
+        throw createHttpError(400, 'label is required');
+    }
+    if (isNaN(Date.parse(whitelistStart))) {
+        throw createHttpError(400, 'whitelistStart must be a date');
+    }
+    if (whitelistEnd !== null && (isNaN(Date.parse(whitelistEnd)) || new Date(whitelistEnd) <= new Date(whitelistStart))) {
+        throw createHttpError(400, 'whitelistEnd must be a date after whitelistStart, or null for no expiry');
+    }
+    if (!Object.hasOwn(WHITELIST_TIERS, tier)) {
+        throw createHttpError(400, `tier must be one of: ${Object.keys(WHITELIST_TIERS).join(', ')}`);
+    }
+    return {
+        walletAddress,
+        label: label.trim(),
+        whitelistStart: new Date(whitelistStart).toISOString(),
+        whitelistEnd: whitelistEnd === null ? null : new Date(whitelistEnd).toISOString(),
+        tier,
+    };
+};
+
+// Helper: Save the whitelist, then append the change to the audit trail
+const saveWhitelistChange = (whitelist, { action, walletAddress, before, after, apiKeyId }) => {
+    saveJsonFile(whitelistFilePath, whitelist);
+    saveJsonFile(whitelistAuditFilePath, [
+        ...loadJsonFile(whitelistAuditFilePath, []),
+        { at: new Date().toISOString(), action, walletAddress, apiKeyId, before: before || null, after: after || null },
+    ]);
+    console.log(`Whitelist ${action}: ${walletAddress}`);
+};
+
+// List Whitelist Endpoint
+app.get('/whitelist', checkToken, (req, res) => {
+    try {
+        res.json({ whitelist: Object.values(loadWhitelist()).map(describeWhitelistEntry) });
+    } catch (error) {
+        console.error('Error listing whitelist:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Whitelist Audit Trail Endpoint (newest first, optionally for one wallet)
+app.get('/whitelist/audit', checkToken, (req, res) => {
+    try {
+        const { walletAddress } = req.query;
+        const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit <= 0) {
+            return res.status(400).json({ error: 'limit must be a positive integer' });
         }
-        const tokenData = await response.json();
+
+        const audit = loadJsonFile(whitelistAuditFilePath, [])
+            .filter(change => !walletAddress || change.walletAddress === walletAddress)
+            .reverse();
+        res.json({ total: audit.length, audit: audit.slice(0, limit) });
+    } catch (error) {
+        console.error('Error fetching whitelist audit trail:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get Whitelist Entry Endpoint
+app.get('/whitelist/:walletAddress', checkToken, (req, res) => {
+    try {
+        const whitelist = loadWhitelist();
+        if (!Object.hasOwn(whitelist, req.params.walletAddress)) {
+            return res.status(404).json({ error: `Wallet ${req.params.walletAddress} is not whitelisted` });
+        }
+        res.json(describeWhitelistEntry(whitelist[req.params.walletAddress]));
+    } catch (error) {
+        console.error('Error fetching whitelist entry:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add Whitelist Entry Endpoint
+app.post('/whitelist', checkToken, (req, res) => {
+    try {
+        const whitelist = loadWhitelist();
+        const entry = normalizeWhitelistEntry(req.body.walletAddress, req.body);
+        if (Object.hasOwn(whitelist, entry.walletAddress)) {
+            return res.status(409).json({ error: `Wallet ${entry.walletAddress} is already whitelisted` });
+        }
+
+        whitelist[entry.walletAddress] = entry;
+        saveWhitelistChange(whitelist, { action: 'add', walletAddress: entry.walletAddress, after: entry, apiKeyId: req.apiKeyId });
+        res.status(201).json({ ...describeWhitelistEntry(entry), message: `Wallet ${entry.walletAddress} whitelisted.` });
+    } catch (error) {
+        console.error('Error adding whitelist entry:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Update Whitelist Entry Endpoint
+app.put('/whitelist/:walletAddress', checkToken, (req, res) => {
+    try {
+        const { walletAddress } = req.params;
+        const whitelist = loadWhitelist();
+        if (!Object.hasOwn(whitelist, walletAddress)) {
+            return res.status(404).json({ error: `Wallet ${walletAddress} is not whitelisted` });
+        }
+
+        const before = whitelist[walletAddress];
+        const entry = normalizeWhitelistEntry(walletAddress, req.body, before);
+        whitelist[walletAddress] = entry;
+        saveWhitelistChange(whitelist, { action: 'update', walletAddress, before, after: entry, apiKeyId: req.apiKeyId });
+        res.json({ ...describeWhitelistEntry(entry), message: `Whitelist entry for ${walletAddress} updated.` });
+    } catch (error) {
+        console.error('Error updating whitelist entry:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Remove Whitelist Entry Endpoint
+app.delete('/whitelist/:walletAddress', checkToken, (req, res) => {
+    try {
+        const { walletAddress } = req.params;
+        const whitelist = loadWhitelist();
+        if (!Object.hasOwn(whitelist, walletAddress)) {
+            return res.status(404).json({ error: `Wallet ${walletAddress} is not whitelisted` });
+        }
+
+        const before = whitelist[walletAddress];
+        delete whitelist[walletAddress];
+        saveWhitelistChange(whitelist, { action: 'remove', walletAddress, before, apiKeyId: req.apiKeyId });
+        res.json({ message: `Wallet ${walletAddress} removed from the whitelist.` });
+    } catch (error) {
+        console.error('Error removing whitelist entry:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ------------------ Usage Fee Pricing ------------------
+
+// Base USD price of every paid route, and whether it grows with the size of what it snapshots: the NFT count of
+// `collectionTicker` or the holder count of `token` (read from `source` for /rewardSplit).
+// ROUTE_USD_FEES (JSON, e.g. {"/distribute": 0.1}) overrides base prices.
+const ROUTE_PRICING = {
+  '/nftSnapshotDraw': { baseUsd: FIXED_USD_FEE, sized: true },
+  '/nftSnapshotCsv': { baseUsd: FIXED_USD_FEE, sized: true },
+  '/nftUniqueOwnersStats': { baseUsd: FIXED_USD_FEE, sized: true },
+  '/nftRarity': { baseUsd: FIXED_USD_FEE, sized: true },
+  '/sftSnapshotDraw': { baseUsd: FIXED_USD_FEE, sized: true },
+  '/esdtSnapshotDraw': { baseUsd: FIXED_USD_FEE, sized: true },
+  '/stakedNftsSnapshotDraw': { baseUsd: FIXED_USD_FEE, sized: true },
+  '/stakedEsdtsSnapshotDraw': { baseUsd: FIXED_USD_FEE, sized: true },
+  '/rulesSnapshotDraw': { baseUsd: FIXED_USD_FEE, sized: false },
+  '/rewardSplit': { baseUsd: FIXED_USD_FEE, sized: true },
+  '/distribute': { baseUsd: FIXED_USD_FEE, sized: false },
+};
+const ROUTE_USD_FEES = JSON.parse(process.env.ROUTE_USD_FEES || '{}');
+const SIZE_SURCHARGES = [ // USD added on top of the base price, by NFT or holder count
+  { maxSize: 1000, usd: 0 },
+  { maxSize: 10000, usd: 0.02 },
+  { maxSize: 50000, usd: 0.05 },
+  { maxSize: Infinity, usd: 0.1 },
+];
+const QUOTE_TTL_MS = 5 * 60 * 1000; // A quote's amount is honoured for five minutes
+const feeQuotes = new Map(); // quoteId -> quote
+
+// Helper: What a sized route is measured on, e.g. "collection:ABC-123456" (null for unsized requests)
+const getPricingTarget = (params) => {
+  const { collectionTicker, token } = params.source && typeof params.source === 'object' ? params.source : params;
+  if (collectionTicker) return { basis: 'collection', identifier: collectionTicker };
+  if (token) return { basis: 'holders', identifier: token };
+  return null;
+};
+
+// Helper: NFT count of a collection or holder count of a token
+const fetchPricingSize = async ({ basis, identifier }) => {
+  const url = basis === 'collection'
+    ? `${getApiUrl()}/collections/${identifier}/nfts/count`
+    : `${getApiUrl()}/tokens/${identifier}/accounts/count`;
+  const size = Number(await cachedApiFetchJson(url));
+  if (!Number.isInteger(size) || size < 0) {
+    throw createHttpError(502, `Unexpected ${basis} count for ${identifier}: ${size}`);
+  }
+  return size;
+};
+
+// Helper: Price a paid route for a request (and the paying wallet's whitelist discount, when known)
+const quoteUsageFee = async ({ route, params = {}, walletAddress }) => {
+  if (!Object.hasOwn(ROUTE_PRICING, route)) {
+    throw createHttpError(400, `route must be one of: ${Object.keys(ROUTE_PRICING).join(', ')}`);
+  }
+  const { baseUsd, sized } = ROUTE_PRICING[route];
+  const target = sized ? getPricingTarget(params) : null;
+  const size = target ? await fetchPricingSize(target) : null;
+  const sizeSurchargeUsd = size === null ? 0 : SIZE_SURCHARGES.find(({ maxSize }) => size <= maxSize).usd;
+  const discountPercent = walletAddress ? getWhitelistDiscount(walletAddress) : 0;
+  const usdFee = new BigNumber(ROUTE_USD_FEES[route] ?? baseUsd)
+    .plus(sizeSurchargeUsd)
+    .multipliedBy(100 - discountPercent)
+    .dividedBy(100)
+    .toNumber();
+
+  const rewardPrice = await getRewardPriceQuote();
+  return {
+    route,
+    network: getNetwork().name,
+    token: getNetwork().rewardToken,
+    amount: usdFee > 0 ? await calculateDynamicUsageFee(usdFee, rewardPrice.priceUsd) : '0',
+    usdFee,
+    baseUsd: ROUTE_USD_FEES[route] ?? baseUsd,
+    sizeBasis: target?.basis || null,
+    sizeTarget: target?.identifier || null,
+    size,
+    sizeSurchargeUsd,
+    walletAddress: walletAddress || null,
+    discountPercent,
+    rewardPriceUsd: rewardPrice.priceUsd,
+    priceSource: rewardPrice.source,
+    priceAt: rewardPrice.at,
+  };
+};
+
+// Helper: The fee a paid request owes: the amount of its `quoteId` while that is valid, a fresh quote otherwise
+const resolveUsageFee = async ({ route, params = {}, walletAddress }) => {
+  if (!params.quoteId) {
+    return quoteUsageFee({ route, params, walletAddress });
+  }
+
+  const quote = feeQuotes.get(params.quoteId);
+  if (!quote || Date.parse(quote.expiresAt) <= Date.now()) {
+    throw createHttpError(400, `Quote ${params.quoteId} is unknown or has expired; request a new one from GET /quote`);
+  }
+  const target = getPricingTarget(params);
+  if (quote.route !== route || quote.network !== getNetwork().name || quote.sizeTarget !== (target?.identifier || null)) {
+    throw createHttpError(400, `Quote ${params.quoteId} was issued for ${quote.route} on ${quote.sizeTarget || 'another request'} (${quote.network})`);
+  }
+  if (quote.walletAddress && quote.walletAddress !== walletAddress) {
+    throw createHttpError(400, `Quote ${params.quoteId} was issued for wallet ${quote.walletAddress}`);
+  }
+  return quote;
+};
+
+// Fee Quote Endpoint: GET /quote?route=/esdtSnapshotDraw&token=...&walletAddress=...
+// Send the returned quoteId with the paid request to be charged exactly `amount` until `expiresAt`.
+app.get('/quote', checkToken, async (req, res) => {
+  try {
+    const { route, walletAddress, ...params } = req.query;
+    if (walletAddress) {
+      try {
+        new Address(walletAddress);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid wallet address "${walletAddress}"` });
+      }
+    }
+
+    const quote = await quoteUsageFee({ route, params, walletAddress });
+    const now = Date.now();
+    feeQuotes.forEach((expired, quoteId) => Date.parse(expired.expiresAt) <= now && feeQuotes.delete(quoteId));
+    const quoteId = crypto.randomUUID();
+    const expiresAt = new Date(now + QUOTE_TTL_MS).toISOString();
+    feeQuotes.set(quoteId, { ...quote, quoteId, expiresAt });
+
+    const decimals = await getTokenDecimals(quote.token);
+    res.json({
+      quoteId,
+      ...quote,
+      amountFormatted: formatTokenAmount(quote.amount, decimals),
+      expiresAt,
+      treasury: TREASURY_WALLET,
+    });
+  } catch (error) {
+    console.error('Error quoting usage fee:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ------------------ Fee Ledger ------------------
+
+// Every charged request is kept here with its outcome. When a paid request ends in an error the payer is
+// compensated: credit charges go back to the wallet's credits, on-chain payments are refunded from the treasury
+// signer (TREASURY_PEM_PATH) or, without one or when the request asks for `feeRefund: "credit"`, turned into a
+// credit voucher for the paying wallet.
+
+const feeLedgerFilePath = path.join(DATA_DIR, 'feeLedger.json');
+const TREASURY_PEM_PATH = process.env.TREASURY_PEM_PATH;
+const FEE_REFUND_MODES = ['refund', 'credit'];
+let treasuryRefunds = Promise.resolve(); // Refunds are sent one after the other so their nonces follow each other
+const nextTreasuryNonces = new Map(); // network -> nonce after the last refund sent there
+
+const loadFeeLedger = () => loadJsonFile(feeLedgerFilePath, {});
+
+const updateFeeEntry = (feeId, changes) => {
+  const ledger = loadFeeLedger();
+  ledger[feeId] = { ...ledger[feeId], ...changes };
+  saveJsonFile(feeLedgerFilePath, ledger);
+  return ledger[feeId];
+};
+
+// Helper: The treasury signer used for refunds, or null when none is configured
+const getTreasurySigner = () => {
+  if (!TREASURY_PEM_PATH) return null;
+  const signer = UserSigner.fromPem(fs.readFileSync(TREASURY_PEM_PATH, 'utf8'));
+  if (signer.getAddress().toString() !== TREASURY_WALLET) {
+    throw new Error(`TREASURY_PEM_PATH holds the key of ${signer.getAddress().toString()}, not of the treasury ${TREASURY_WALLET}`);
+  }
+  return signer;
+};
+
+// Helper: Validate the `feeRefund` choice of a paid request (defaults to a refund when the treasury can sign)
+const resolveFeeRefundMode = (feeRefund) => {
+  if (feeRefund !== undefined && !FEE_REFUND_MODES.includes(feeRefund)) {
+    throw createHttpError(400, `feeRefund must be one of: ${FEE_REFUND_MODES.join(', ')}`);
+  }
+  return feeRefund || (TREASURY_PEM_PATH ? 'refund' : 'credit');
+};
+
+// Helper: Record the fee a request was charged and settle it once the response has been sent.
+// Async jobs settle when the job finishes instead (startJobIfAsync sets req.feeJobId).
+const trackFeeCharge = (req, res, { method, payer, amount, reference }) => {
+  const feeId = crypto.randomUUID();
+  updateFeeEntry(feeId, {
+    feeId,
+    route: req.route?.path || req.path,
+    method,
+    payer,
+    amount,
+    token: getNetwork().rewardToken,
+    network: getNetwork().name,
+    reference,
+    apiKeyId: req.apiKeyId,
+    refundMode: method === 'credits' ? 'credit' : resolveFeeRefundMode(req.body.feeRefund),
+    jobId: null,
+    status: 'charged',
+    chargedAt: new Date().toISOString(),
+  });
+  req.feeId = feeId;
+  res.set('X-Fee-Id', feeId);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.feeError = body?.error;
+    return json(body);
+  };
+  let settled = false;
+  const settle = () => {
+    if (settled || req.feeJobId) return;
+    settled = true;
+    settleFee(feeId, { statusCode: res.statusCode, error: res.locals.feeError })
+      .catch(error => console.error(`Error settling fee ${feeId}:`, error));
+  };
+  res.on('finish', settle);
+  // A client that disconnects only fires 'close'; the route may still be running, so settle once it ends its response
+  res.on('close', () => {
+    if (res.writableEnded) {
+      return settle();
+    }
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+      const result = end(...args);
+      settle();
+      return result;
+    };
+  });
+  return feeId;
+};
+
+// Helper: Give a failed request's fee back to the payer's credits
+const creditFeeVoucher = (entry) => {
+  const ledger = loadCreditLedger();
+  postCreditEntry(ledger, entry.payer, BigInt(entry.amount), { type: 'voucher', feeId: entry.feeId, route: entry.route, at: new Date().toISOString() });
+  saveJsonFile(getCreditLedgerFilePath(), ledger);
+  console.log(`Credited a ${entry.amount} ${entry.token} (raw units) voucher to ${entry.payer} for failed request fee ${entry.feeId}`);
+  return updateFeeEntry(entry.feeId, { compensation: { type: 'voucher', status: 'credited', at: new Date().toISOString() } });
+};
+
+// Helper: Send a failed request's fee back to the payer from the treasury, queued behind earlier refunds
+const refundFee = (entry) => {
+  const refund = treasuryRefunds.then(async () => {
+    const signer = getTreasurySigner();
+    if (!signer) {
+      throw new Error('No treasury signer is configured (TREASURY_PEM_PATH)');
+    }
+    const factory = new TransferTransactionsFactory({ config: new TransactionsFactoryConfig({ chainID: getNetwork().chainId }) });
+    const tx = factory.createTransactionForESDTTokenTransfer({
+      sender: signer.getAddress(),
+      receiver: new Address(entry.payer),
+      tokenTransfers: [new TokenTransfer({ token: new Token({ identifier: entry.token }), amount: BigInt(entry.amount) })],
+    });
+    const { nonce } = await getProvider().getAccount(signer.getAddress());
+    const nextNonce = nextTreasuryNonces.get(getNetwork().name);
+    tx.nonce = nextNonce !== undefined && nextNonce > BigInt(nonce) ? nextNonce : BigInt(nonce);
+    await signer.sign(tx);
+
+    // Stored before broadcasting, so a crash mid-send leaves a refund to re-check rather than one to resend
+    const txHash = Buffer.from(new TransactionComputer().computeTransactionHash(tx)).toString('hex');
+    updateFeeEntry(entry.feeId, { compensation: { type: 'refund', status: 'pending', txHash, at: new Date().toISOString() } });
+    await getProvider().sendTransaction(tx);
+    nextTreasuryNonces.set(getNetwork().name, tx.nonce + BigInt(1));
+    return txHash;
+  });
+  treasuryRefunds = refund.catch(() => {});
+
+  return refund.then(async (txHash) => {
+    const { status } = await checkTransactionStatus(txHash);
+    if (status === 'fail') {
+      throw new Error(`Refund transaction ${txHash} failed`);
+    }
+    console.log(`Refunded fee ${entry.feeId} to ${entry.payer} in ${txHash} (${status})`);
+    return updateFeeEntry(entry.feeId, { compensation: { type: 'refund', status: status === 'success' ? 'sent' : 'unknown', txHash, at: new Date().toISOString() } });
+  }).catch((error) => {
+    // The payer still gets the fee back, as credits
+    console.error(`Refund of fee ${entry.feeId} failed, issuing a credit voucher instead: ${error.message}`);
+    updateFeeEntry(entry.feeId, { refundError: error.message });
+    return creditFeeVoucher(entry);
+  });
+};
+
+// Helper: Record how a charged request ended and compensate the payer when it failed (cancelled jobs are not compensated)
+const settleFee = async (feeId, { statusCode, error, cancelled = false }) => {
+  const entry = loadFeeLedger()[feeId];
+  if (!entry || entry.status !== 'charged') return entry;
+
+  const failed = statusCode >= 400;
+  const settled = updateFeeEntry(feeId, {
+    status: cancelled ? 'cancelled' : failed ? 'failed' : 'succeeded',
+    statusCode,
+    error: failed ? error : undefined,
+    settledAt: new Date().toISOString(),
+  });
+  if (!failed || cancelled) return settled;
+
+  // Settlement can happen outside the request (after the response, or when a job ends), so restore its context
+  return networkContext.run(resolveNetwork(entry.network), () => apiKeyContext.run(entry.apiKeyId, () => (
+    entry.refundMode === 'refund' ? refundFee(settled) : creditFeeVoucher(settled)
+  )));
+};
+
+// Fee Ledger Endpoint (admin): GET /fees?status=failed lists the fees of failed requests, newest first
+app.get('/fees', checkToken, (req, res) => {
+  try {
+    const { status, payer } = req.query;
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit <= 0) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    const fees = Object.values(loadFeeLedger())
+      .filter(entry => (!status || entry.status === status) && (!payer || entry.payer === payer))
+      .sort((a, b) => (a.chargedAt < b.chargedAt ? 1 : a.chargedAt > b.chargedAt ? -1 : 0));
+    res.json({ total: fees.length, fees: fees.slice(0, limit) });
+  } catch (error) {
+    console.error('Error listing fees:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fee Entry Endpoint (admin)
+app.get('/fees/:feeId', checkToken, (req, res) => {
+  try {
+    const fees = loadFeeLedger();
+    if (!Object.hasOwn(fees, req.params.feeId)) {
+      return res.status(404).json({ error: `Fee "${req.params.feeId}" not found.` });
+    }
+    res.json(fees[req.params.feeId]);
+  } catch (error) {
+    console.error('Error fetching fee:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ------------------ Recorded API Fixtures ------------------
+
+// With fixtureMode "record" (or FIXTURE_MODE=record server-wide) every upstream API response a request uses is
+// kept and saved as a bundle next to each snapshot it stores. `replaySnapshotId` serves a request entirely from
+// such a bundle: re-run a disputed draw with its original salt, or develop without touching the public API.
+// Replays bypass the live response cache and pay the usage fee like any other call.
+const FIXTURE_MODE = process.env.FIXTURE_MODE;
+const fixturesDirPath = path.join(DATA_DIR, 'fixtures');
+const fixtureContext = new AsyncLocalStorage();
+
+fs.mkdirSync(fixturesDirPath, { recursive: true });
+
+const getFixtureFilePath = (snapshotId) => path.join(fixturesDirPath, `${path.basename(snapshotId)}.json`);
+
+const loadFixtureBundle = (snapshotId) => loadJsonFile(getFixtureFilePath(snapshotId), null);
+
+const isReplayingFixtures = () => fixtureContext.getStore()?.mode === 'replay';
+
+// Helper: Fixture state for a request (or job) from its `fixtureMode` / `replaySnapshotId` parameters, or null.
+// Like GET /fixtures/:snapshotId, a key can only replay its own recordings.
+const createFixtureStore = ({ fixtureMode, replaySnapshotId } = {}, apiKeyId) => {
+    if (replaySnapshotId) {
+        const bundle = loadFixtureBundle(String(replaySnapshotId));
+        if (!bundle || (apiKeyId !== MASTER_API_KEY_ID && bundle.apiKeyId !== apiKeyId)) {
+            throw createHttpError(404, `No recorded fixtures for snapshot "${replaySnapshotId}".`);
+        }
+        if (bundle.network !== getNetwork().name) {
+            throw createHttpError(400, `Fixtures of snapshot "${replaySnapshotId}" were recorded on ${bundle.network}.`);
+        }
+        return { mode: 'replay', snapshotId: bundle.snapshotIds[0], startedAt: bundle.startedAt, responses: bundle.responses, cursors: new Map() };
+    }
+    if (fixtureMode !== undefined && fixtureMode !== 'record') {
+        throw createHttpError(400, 'fixtureMode must be "record" (replay with replaySnapshotId)');
+    }
+    if (fixtureMode === 'record' || FIXTURE_MODE === 'record') {
+        return { mode: 'record', network: getNetwork().name, startedAt: new Date().toISOString(), responses: {}, snapshotIds: [] };
+    }
+    return null;
+};
+
+// Helper: Serve the next recorded response for a URL; repeated URLs (e.g. transaction polling) replay in order
+const replayFixtureResponse = (url) => {
+    const store = fixtureContext.getStore();
+    const recorded = store.responses[url];
+    if (!recorded || recorded.length === 0) {
+        throw createHttpError(404, `No recorded response for ${url} in the fixtures of snapshot "${store.snapshotId}".`);
+    }
+    const index = Math.min(store.cursors.get(url) || 0, recorded.length - 1);
+    store.cursors.set(url, index + 1);
+
+    const { status, statusText, contentType, body } = recorded[index];
+    return new Response(body, { status, statusText, headers: contentType ? { 'content-type': contentType } : {} });
+};
+
+// Helper: Keep a response for the recording in progress and hand back an unread copy of it
+const recordFixtureResponse = async (url, response) => {
+    const store = fixtureContext.getStore();
+    if (store?.mode !== 'record') {
+        return response;
+    }
+
+    const body = await response.text();
+    const recorded = { status: response.status, statusText: response.statusText, contentType: response.headers.get('content-type'), body };
+    (store.responses[url] = store.responses[url] || []).push(recorded);
+    return new Response(body, { status: recorded.status, statusText: recorded.statusText, headers: recorded.contentType ? { 'content-type': recorded.contentType } : {} });
+};
+
+// Helper: Mark a stored snapshot as belonging to the recording in progress (no-op otherwise)
+const registerFixtureSnapshot = (snapshotId) => {
+    const store = fixtureContext.getStore();
+    if (store?.mode !== 'record') {
+        return false;
+    }
+    store.snapshotIds.push(snapshotId);
+    store.apiKeyId = apiKeyContext.getStore();
+    return true;
+};
+
+// Helper: Write the recording as the fixture bundle of every snapshot the request stored
+const flushFixtureRecording = (store) => {
+    if (store?.mode !== 'record') return;
+    store.snapshotIds.forEach((snapshotId) => {
+        saveJsonFile(getFixtureFilePath(snapshotId), {
+            snapshotIds: store.snapshotIds,
+            network: store.network,
+            apiKeyId: store.apiKeyId,
+            startedAt: store.startedAt,
+            recordedAt: new Date().toISOString(),
+            responses: store.responses,
+        });
+    });
+};
+
+// Middleware (after checkToken): Record or replay upstream responses when the request asks for it
+const selectFixtureMode = (req, res, next) => {
+    let store;
+    try {
+        store = createFixtureStore({ ...req.query, ...req.body }, req.apiKeyId);
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ error: error.message });
+    }
+    if (!store) {
+        return next();
+    }
+
+    // Async jobs keep recording after this response; runJob flushes again when they finish
+    res.on('finish', () => flushFixtureRecording(store));
+    fixtureContext.run(store, next);
+};
+
+// Fixture Bundle Endpoint
+app.get('/fixtures/:snapshotId', checkToken, (req, res) => {
+    try {
+        const bundle = loadFixtureBundle(req.params.snapshotId);
+        if (!bundle || !isOwnedByApiKey(req, bundle)) {
+            return res.status(404).json({ error: `No recorded fixtures for snapshot "${req.params.snapshotId}".` });
+        }
+        res.json(bundle);
+    } catch (error) {
+        console.error('Error fetching fixtures:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ------------------ Idempotency Keys ------------------
+
+// Paid routes accept an `Idempotency-Key` header. The first request with a key runs normally and its response is
+// kept for IDEMPOTENCY_TTL_MS; repeating the key (same API key, route and body) returns that response again
+// without charging, and a repeat that arrives while the first is still running waits for its result.
+// Server errors (5xx) are not kept: their fee is compensated by the fee ledger, so a retry runs again. Neither are
+// the client errors that tell the caller to retry later (insufficient credits, not yet, busy, rate limited).
+
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+const IDEMPOTENCY_RETRYABLE_STATUSES = [402, 408, 409, 425, 429];
+const IDEMPOTENT_RESPONSE_HEADERS = ['content-type', 'x-fee-id', 'x-credit-charge-id', 'x-credit-balance'];
+const idempotencyDirPath = path.join(DATA_DIR, 'idempotency');
+const idempotentRequestsInFlight = new Map(); // record id -> { fingerprint, promise }
+
+fs.mkdirSync(idempotencyDirPath, { recursive: true });
+
+const getIdempotencyFilePath = (recordId) => path.join(idempotencyDirPath, `${recordId}.json`);
+
+const hashIdempotencyInput = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Helper: The stored response for a key, unless it has expired
+const loadIdempotentResponse = (recordId) => {
+    const record = loadJsonFile(getIdempotencyFilePath(recordId), null);
+    return record && Date.parse(record.expiresAt) > Date.now() ? record : null;
+};
+
+// Middleware: Replay or await the response of a repeated Idempotency-Key, otherwise keep this request's response
+const handleIdempotencyKey = async (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey === undefined) {
+        return next();
+    }
+    if (!idempotencyKey || idempotencyKey.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+        return res.status(400).json({ error: `Idempotency-Key must be 1 to ${IDEMPOTENCY_KEY_MAX_LENGTH} characters` });
+    }
+
+    const route = req.route?.path || req.path;
+    const recordId = hashIdempotencyInput(`${req.apiKeyId}\n${route}\n${idempotencyKey}`);
+    const fingerprint = hashIdempotencyInput(JSON.stringify(req.body));
+    const assertSameRequest = (original) => {
+        if (original.fingerprint !== fingerprint) {
+            throw createHttpError(422, `Idempotency-Key "${idempotencyKey}" was already used with a different request body`);
+        }
+    };
+
+    try {
+        // Several retries may be waiting; whichever wakes first and finds nothing stored runs the request again
+        let inFlight;
+        while ((inFlight = idempotentRequestsInFlight.get(recordId))) {
+            assertSameRequest(inFlight);
+            console.log(`Idempotency-Key "${idempotencyKey}" is still running on ${route}, waiting for its response.`);
+            await inFlight.promise;
+        }
+
+        const stored = loadIdempotentResponse(recordId);
+        if (stored) {
+            assertSameRequest(stored);
+            console.log(`Replaying the response stored for Idempotency-Key "${idempotencyKey}" on ${route}.`);
+            return res.status(stored.statusCode)
+                .set({ ...stored.headers, 'Idempotent-Replayed': 'true' })
+                .send(stored.body);
+        }
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ error: error.message });
+    }
+
+    let finish;
+    let released = false;
+    idempotentRequestsInFlight.set(recordId, { fingerprint, promise: new Promise(resolve => { finish = resolve; }) });
+    // Wake the waiting retries once the response ends, also when it does not go through res.send (e.g. finalhandler).
+    // A client that disconnects early does not stop the request, so its retries keep waiting for this response.
+    const release = () => {
+        if (released) return;
+        released = true;
+        idempotentRequestsInFlight.delete(recordId);
+        finish();
+    };
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+        const result = end(...args);
+        release();
+        return result;
+    };
+    res.on('finish', release);
+
+    // res.json ends in res.send with the serialised body, which is what gets stored
+    const send = res.send.bind(res);
+    res.send = (body) => {
+        if (typeof body === 'string' || Buffer.isBuffer(body)) {
+            res.send = send;
+            try {
+                if (res.statusCode < 500 && !IDEMPOTENCY_RETRYABLE_STATUSES.includes(res.statusCode)) {
+                    const headers = Object.fromEntries(IDEMPOTENT_RESPONSE_HEADERS
+                        .filter(name => res.get(name) !== undefined)
+                        .map(name => [name, res.get(name)]));
+                    saveJsonFile(getIdempotencyFilePath(recordId), {
+                        route,
+                        apiKeyId: req.apiKeyId,
+                        fingerprint,
+                        statusCode: res.statusCode,
+                        headers,
+                        body: body.toString(),
+                        createdAt: new Date().toISOString(),
+                        expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_MS).toISOString(),
+                    });
+                }
+            } catch (error) {
+                console.error(`Error storing the response for Idempotency-Key "${idempotencyKey}":`, error);
+            } finally {
+                release();
+            }
+        }
+        return send(body);
+    };
+    next();
+};
+
+// Helper: On startup, drop stored responses whose window has passed
+const purgeExpiredIdempotentResponses = () => {
+    fs.readdirSync(idempotencyDirPath)
+        .filter((fileName) => fileName.endsWith('.json'))
+        .forEach((fileName) => {
+            const recordId = path.basename(fileName, '.json');
+            if (!loadIdempotentResponse(recordId)) {
+                fs.unlinkSync(getIdempotencyFilePath(recordId));
+            }
+        });
+};
+
+// ------------------ Asynchronous Snapshot Jobs ------------------
+
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000; // Finished jobs are kept for a day
+const jobsDirPath = path.join(DATA_DIR, 'jobs');
+const jobContext = new AsyncLocalStorage();
+const activeJobs = new Map(); // jobId -> { cancelled }
+const jobHandlers = {}; // route path -> handler, so interrupted jobs can be resumed after a restart
+
+fs.mkdirSync(jobsDirPath, { recursive: true });
+
+const getJobFilePath = (jobId) => path.join(jobsDirPath, `${path.basename(jobId)}.json`);
+
+const loadJob = (jobId) => loadJsonFile(getJobFilePath(jobId), null);
+
+const updateJob = (jobId, changes) => {
+    const job = { ...loadJob(jobId), ...changes, updatedAt: new Date().toISOString() };
+    saveJsonFile(getJobFilePath(jobId), job);
+    return job;
+};
+
+// Helper: Record progress for the job running in the current async context (no-op outside jobs).
+// Fetchers call this between batches, which is also where a cancelled job stops.
+const reportJobProgress = (progress) => {
+    const jobId = jobContext.getStore();
+    if (!jobId) return;
+
+    if (activeJobs.get(jobId)?.cancelled) {
+        throw new Error('Job cancelled');
+    }
+    updateJob(jobId, { progress });
+};
+
+// Minimal stand-in for the Express response, capturing what the route handler sends
+const createJobResponse = () => {
+    const captured = { statusCode: 200, body: undefined };
+    const jobRes = {
+        status: (code) => {
+            captured.statusCode = code;
+            return jobRes;
+        },
+        json: (body) => {
+            captured.body = withNetwork(body);
+            return jobRes;
+        },
+    };
+    return { jobRes, captured };
+};
+
+// Helper: Run a snapshot route handler in the background and store its outcome in the job file
+const runJob = async (jobId) => {
+    const job = loadJob(jobId);
+    const handler = jobHandlers[job.route];
+    activeJobs.set(jobId, { cancelled: false });
+
+    const jobReq = {
+        route: { path: job.route },
+        body: job.params,
+        headers: {},
+        apiKeyId: job.apiKeyId,
+        usageFeeHash: job.usageFeeHash,
+        usageFeeAlreadyProcessed: true, // The fee was charged when the job was submitted
+    };
+    const { jobRes, captured } = createJobResponse();
+
+    try {
+        // Jobs resumed after a restart have no request around them, so the network comes from the job itself
+        const network = resolveNetwork(job.params.network || undefined);
+        await networkContext.run(network, async () => {
+            // ...and so does the fixture recording or replay; recordings are saved once the job is done
+            const fixtureStore = fixtureContext.getStore() || createFixtureStore(job.params, job.apiKeyId);
+            await fixtureContext.run(fixtureStore, () => apiKeyContext.run(job.apiKeyId, () => jobContext.run(jobId, () => handler(jobReq, jobRes))));
+            flushFixtureRecording(fixtureStore);
+        });
+    } catch (error) {
+        captured.statusCode = 500;
+        captured.body = { error: error.message };
+    }
+
+    const cancelled = activeJobs.get(jobId)?.cancelled;
+    activeJobs.delete(jobId);
+    if (cancelled) {
+        console.log(`Job ${jobId} was cancelled.`);
+        if (job.feeId) await settleFee(job.feeId, { statusCode: 499, error: 'Job cancelled', cancelled: true });
+        return;
+    }
+
+    const failed = captured.statusCode >= 400;
+    updateJob(jobId, {
+        status: failed ? 'failed' : 'completed',
+        statusCode: captured.statusCode,
+        result: failed ? undefined : captured.body,
+        error: failed ? captured.body?.error : undefined,
+        finishedAt: new Date().toISOString(),
+    });
+    console.log(`Job ${jobId} (${job.route}) ${failed ? 'failed' : 'completed'}.`);
+    if (job.feeId) await settleFee(job.feeId, { statusCode: captured.statusCode, error: captured.body?.error });
+};
+
+// Middleware: With `async: true`, answer immediately with a jobId and continue the route in the background
+const startJobIfAsync = (routePath) => (req, res, next) => {
+    if (req.body.async !== true) {
+        return next();
+    }
+
+    const jobId = crypto.randomUUID();
+    const { walletPem, async, ...params } = req.body; // Never persist the caller's private key
+    if (req.feeId) {
+        req.feeJobId = jobId; // The fee is settled with the job's outcome, not with this 202
+        updateFeeEntry(req.feeId, { jobId });
+    }
+    const now = new Date().toISOString();
+    saveJsonFile(getJobFilePath(jobId), {
+        jobId,
+        route: routePath,
+        params,
+        usageFeeHash: req.usageFeeHash,
+        feeId: req.feeId,
+        apiKeyId: req.apiKeyId,
+        status: 'running',
+        progress: null,
+        createdAt: now,
+        updatedAt: now,
+    });
+
+    runJob(jobId).catch(error => console.error(`Error running job ${jobId}:`, error));
+
+    res.status(202).json({
+        jobId,
+        status: 'running',
+        statusUrl: `/jobs/${jobId}`,
+        message: `Snapshot job started. Poll GET /jobs/${jobId} for its progress and result.`,
+        usageFeeHash: req.usageFeeHash,
+    });
+};
+
+// Helper: Register a paid snapshot route that also supports `async: true`
+const registerSnapshotRoute = (routePath, handler) => {
+    jobHandlers[routePath] = handler;
+    app.post(routePath, checkToken, selectFixtureMode, handleIdempotencyKey, handleUsageFee, startJobIfAsync(routePath), handler);
+};
+
+// Helper: On startup, drop expired jobs and restart the ones a previous process left running
+const resumeInterruptedJobs = () => {
+    fs.readdirSync(jobsDirPath)
+        .filter((fileName) => fileName.endsWith('.json'))
+        .forEach((fileName) => {
+            const jobId = path.basename(fileName, '.json');
+            const job = loadJob(jobId);
+
+            if (Date.now() - new Date(job.updatedAt).getTime() > JOB_RETENTION_MS) {
+                fs.unlinkSync(getJobFilePath(jobId));
+            } else if (job.status === 'running' && jobHandlers[job.route]) {
+                console.log(`Resuming interrupted job ${jobId} (${job.route})`);
+                updateJob(jobId, { resumedAt: new Date().toISOString() });
+                runJob(jobId).catch(error => console.error(`Error running job ${jobId}:`, error));
+            }
+        });
+};
+
+// Job Status Endpoint
+app.get('/jobs/:id', checkToken, (req, res) => {
+    try {
+        const job = loadJob(req.params.id);
+        if (!job || !isOwnedByApiKey(req, job)) {
+            return res.status(404).json({ error: `Job "${req.params.id}" not found.` });
+        }
+
+        const { params, ...jobStatus } = job;
+        res.json(jobStatus);
+    } catch (error) {
+        console.error('Error fetching job status:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Job Cancellation Endpoint
+app.delete('/jobs/:id', checkToken, (req, res) => {
+    try {
+        const job = loadJob(req.params.id);
+        if (!job || !isOwnedByApiKey(req, job)) {
+            return res.status(404).json({ error: `Job "${req.params.id}" not found.` });
+        }
+        if (job.status !== 'running') {
+            return res.status(409).json({ error: `Job "${req.params.id}" is already ${job.status}.` });
+        }
+
+        if (activeJobs.has(job.jobId)) {
+            activeJobs.get(job.jobId).cancelled = true;
+        }
+        const cancelledJob = updateJob(job.jobId, { status: 'cancelled', finishedAt: new Date().toISOString() });
+
+        res.json({ jobId: cancelledJob.jobId, status: cancelledJob.status, message: 'Job cancelled.' });
+    } catch (error) {
+        console.error('Error cancelling job:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+
+// Helper function to fetch ESDT token details (including decimals)
+const fetchTokenDecimals = async (token) => {
+    try {
+        const tokenData = await cachedApiFetchJson(`${getApiUrl()}/tokens/${token}`);
         return tokenData.decimals || 0; // Default to 0 if decimals are missing
     } catch (error) {
         console.error('Error fetching token decimals:', error.message);
@@ -414,123 +2381,749 @@ const fetchTokenDecimals = async (token) => {
 
 
 
-// Helper function to generate unique owner stats
-const generateUniqueOwnerStats = (data, assetType = "NFT", decimals = 0) => {
-    const stats = {};
+// Helper function to generate unique owner stats.
+// Holdings are summed exactly as BigInt; ESDT stats carry the raw integer balance next to the exact decimal tokensCount.
+const generateUniqueOwnerStats = (data, assetType = "NFT", decimals = 0) => {
+    const stats = {};
+
+    data.forEach(({ owner, address, balance }) => {
+        const account = owner || address; // Handle both NFT (owner) and SFT/ESDT (address)
+
+        if (!account) {
+            console.warn("Skipping entry due to missing owner/address:", { owner, address });
+            return; // Skip if no valid owner
+        }
+
+        if (!stats[account]) {
+            stats[account] = BigInt(0);
+        }
+
+        if (assetType === "NFT") {
+            // NFT: Each NFT counts as 1
+            stats[account] += BigInt(1);
+        } else if (assetType === "SFT" || assetType === "ESDT") {
+            // SFT: Whole quantities, ESDT: raw balances in the token's smallest unit
+            stats[account] += BigInt(balance || 0);
+        }
+    });
+
+    return Object.entries(stats)
+        .sort(([accountA, totalA], [accountB, totalB]) => {
+            if (totalA !== totalB) return totalA > totalB ? -1 : 1;
+            return accountA < accountB ? -1 : accountA > accountB ? 1 : 0;
+        })
+        .map(([account, total]) => (assetType === "ESDT"
+            ? { owner: account, tokensCount: formatTokenAmount(total, decimals), rawBalance: total.toString() }
+            : { owner: account, tokensCount: Number(total) }));
+};
+
+
+// ------------------ Provably Fair Draw ------------------
+
+const DRAW_ALGORITHM_VERSION = "fisher-yates-sha256-v1";
+const METACHAIN_SHARD_ID = 4294967295;
+const DRAW_COMMIT_BLOCK_DELAY = 10; // Metachain blocks (~6s each) between commit and reveal
+const drawCommitmentsFilePath = path.join(DATA_DIR, 'drawCommitments.json');
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Request fields that do not change who wins: how the call is paid, run or answered, and the reveal itself
+const DRAW_PARAMS_IGNORED = ['commitId', 'salt', 'walletPem', 'feeTxHash', 'creditWallet', 'feeRefund', 'quoteId', 'async', 'includeSnapshot', 'fixtureMode', 'replaySnapshotId', 'network'];
+
+// Helper: JSON with object keys in sorted order, so equal parameters always hash the same
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+// Helper: Hash of a draw route and the parameters it is called with (source, filters, winners, exclusions, weighting, prizes)
+const hashDrawParams = (route, params = {}) => sha256Hex(canonicalJson({
+    route,
+    params: Object.fromEntries(Object.entries(params).filter(([key]) => !DRAW_PARAMS_IGNORED.includes(key))),
+}));
+
+// Helper function to fetch a metachain block by nonce (or the latest one when no nonce is given)
+const fetchMetachainBlock = async (nonce) => {
+    const query = nonce === undefined ? 'size=1' : `nonce=${nonce}`;
+    const blocks = await apiFetchJson(`${getApiUrl()}/blocks?shard=${METACHAIN_SHARD_ID}&${query}`);
+    return blocks.length > 0 ? { nonce: blocks[0].nonce, hash: blocks[0].hash } : null;
+};
+
+// The seed is public: the block hash cannot be known at commit time and the salt is fixed by its hash
+const deriveDrawSeed = (blockHash, salt) => sha256Hex(`${blockHash}:${salt}`);
+
+// Snapshot rows are identified by account, identifier and raw balance (NFT, SFT and ESDT rows alike)
+const getDrawEntryKey = (entry) => [entry.owner || entry.address || '', entry.identifier || '', entry.balance || ''].join('|');
+
+// Winners are matched on account and identifier only, since routes reformat winner balances
+const getDrawWinnerKey = (entry) => [entry.owner || entry.address || '', entry.identifier || ''].join('|');
+
+// Sort rows by key so the draw never depends on the order the API returned them in
+const canonicalizeDrawEntries = (entries) => entries
+    .map((entry) => ({ entry, key: getDrawEntryKey(entry) }))
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .map(({ entry }) => entry);
+
+const hashDrawSnapshot = (entries) => sha256Hex(canonicalizeDrawEntries(entries).map(getDrawEntryKey).join('\n'));
+
+// Minimal snapshot rows, enough to reproduce the snapshot hash and the draw through /drawVerify
+const toDrawSnapshotEntry = (entry) => ({
+    address: entry.owner || entry.address,
+    identifier: entry.identifier,
+    balance: entry.balance,
+    // Not part of the snapshot hash, but needed to re-check prize eligibility filters
+    metadataFileName: entry.metadataFileName,
+    attributes: entry.attributes,
+    // Only set for rarity-weighted draws, which need it to recompute each wallet's tickets
+    rarityTier: entry.rarityTier,
+});
+
+// Deterministic random integers in [0, max) from a SHA-256 counter stream, without modulo bias
+const createSeededRandom = (seed) => {
+    let counter = 0;
+    let buffer = Buffer.alloc(0);
+
+    const nextBytes = (length) => {
+        while (buffer.length < length) {
+            buffer = Buffer.concat([buffer, crypto.createHash('sha256').update(`${seed}:${counter++}`).digest()]);
+        }
+        const bytes = buffer.subarray(0, length);
+        buffer = buffer.subarray(length);
+        return bytes;
+    };
+
+    const randomInt = (max) => {
+        const limit = Math.floor(0x100000000 / max) * max;
+        let value;
+        do {
+            value = nextBytes(4).readUInt32BE(0);
+        } while (value >= limit);
+        return value % max;
+    };
+
+    // Same rejection sampling for BigInt bounds, used by weighted draws
+    const randomBigInt = (max) => {
+        if (max <= BigInt(0)) {
+            throw new Error('randomBigInt needs a positive bound');
+        }
+        const bits = max.toString(2).length;
+        const mask = (BigInt(1) << BigInt(bits)) - BigInt(1);
+        let value;
+        do {
+            value = BigInt(`0x${nextBytes(Math.ceil(bits / 8)).toString('hex')}`) & mask;
+        } while (value >= max);
+        return value;
+    };
+
+    return { randomInt, randomBigInt };
+};
+
+// Helper: Number of winners to pick, defaulting to the whole pool like slice(0, undefined) did
+const resolveWinnerCount = (count, poolSize) => {
+    const requested = parseInt(count, 10);
+    return Number.isNaN(requested) ? poolSize : Math.min(Math.max(requested, 0), poolSize);
+};
+
+// Partial Fisher-Yates shuffle over the canonical snapshot order: the first `count` picks are the winners.
+// With uniqueWinners, picks landing on a wallet that already won are skipped and the shuffle continues.
+const seededShuffle = (entries, seed, count, uniqueWinners = false) => {
+    const { randomInt } = createSeededRandom(seed);
+    const pool = canonicalizeDrawEntries(entries);
+    const picks = resolveWinnerCount(count, pool.length);
+    const winners = [];
+    const winningAccounts = new Set();
+
+    for (let i = 0; i < pool.length && winners.length < picks; i++) {
+        const j = i + randomInt(pool.length - i);
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+
+        const account = pool[i].owner || pool[i].address;
+        if (uniqueWinners && winningAccounts.has(account)) continue;
+        winningAccounts.add(account);
+        winners.push(pool[i]);
+    }
+    return winners;
+};
+
+const DRAW_WEIGHTING_MODES = ['perHolder', 'perToken', 'proportionalToBalance', 'rarityTier'];
+const TICKET_DECIMALS = 18; // Tickets are sampled as integers at this precision (max ESDT decimals)
+const MIN_TICKETS = new BigNumber(1).shiftedBy(-TICKET_DECIMALS); // Smallest ticket amount that is still sampled
+
+// Helper: Sum of the rarity tier weights of each wallet's NFTs (rows tagged by attachNftRarity)
+const computeRarityTickets = (entries, rarityTierWeights = {}) => {
+    const weights = { ...DEFAULT_RARITY_TIER_WEIGHTS, ...rarityTierWeights };
+    Object.entries(weights).forEach(([tier, weight]) => {
+        if (!RARITY_TIERS.some(rarityTier => rarityTier.tier === tier)) {
+            throw createHttpError(400, `Unknown rarity tier "${tier}" in rarityTierWeights`);
+        }
+        const tierWeight = new BigNumber(weight);
+        if (!tierWeight.isFinite() || tierWeight.lt(0) || (!tierWeight.isZero() && tierWeight.lt(MIN_TICKETS))) {
+            throw createHttpError(400, `Rarity tier weight for "${tier}" must be 0 or a number of at least ${MIN_TICKETS.toFixed()}`);
+        }
+    });
+
+    const ticketsByAccount = new Map();
+    entries.forEach((entry) => {
+        if (!entry.rarityTier) {
+            throw createHttpError(400, `rarityTier weighting needs NFTs ranked by rarity; ${entry.identifier || 'an entry'} has no rarity tier`);
+        }
+        const account = entry.owner || entry.address;
+        ticketsByAccount.set(account, (ticketsByAccount.get(account) || new BigNumber(0)).plus(weights[entry.rarityTier]));
+    });
+    return ticketsByAccount;
+};
+
+// Helper: Turn each wallet's tokensCount into draw tickets according to the weighting options
+const computeDrawTickets = (entries, { weighting, maxTicketsPerWallet, dampening, rarityTierWeights, assetType = "NFT", decimals = 0 }) => {
+    if (!DRAW_WEIGHTING_MODES.includes(weighting)) {
+        throw createHttpError(400, `Unsupported weighting "${weighting}". Supported: ${DRAW_WEIGHTING_MODES.join(', ')}`);
+    }
+    if (dampening !== undefined && dampening !== 'sqrt') {
+        throw createHttpError(400, `Unsupported dampening "${dampening}". Supported: sqrt`);
+    }
+    const cap = maxTicketsPerWallet !== undefined ? new BigNumber(maxTicketsPerWallet) : null;
+    if (cap && (!cap.isFinite() || cap.lt(MIN_TICKETS))) {
+        throw createHttpError(400, `maxTicketsPerWallet must be a number of at least ${MIN_TICKETS.toFixed()}`);
+    }
+    if (!Number.isInteger(Number(decimals)) || Number(decimals) < 0 || Number(decimals) > TICKET_DECIMALS) {
+        throw createHttpError(400, `decimals must be an integer from 0 to ${TICKET_DECIMALS}`);
+    }
+
+    const rarityTickets = weighting === 'rarityTier' ? computeRarityTickets(entries, rarityTierWeights) : null;
+
+    return generateUniqueOwnerStats(entries, assetType, decimals)
+        .map(({ owner, tokensCount, rawBalance }) => {
+            let tickets;
+            if (rarityTickets) {
+                tickets = rarityTickets.get(owner);
+            } else if (weighting === 'perHolder') {
+                tickets = new BigNumber(1);
+            } else if (weighting === 'perToken') {
+                tickets = new BigNumber(tokensCount).integerValue(BigNumber.ROUND_FLOOR);
+            } else {
+                tickets = new BigNumber(tokensCount);
+            }
+
+            if (dampening === 'sqrt') {
+                tickets = tickets.sqrt().decimalPlaces(6, BigNumber.ROUND_FLOOR);
+            }
+            if (cap && tickets.gt(cap)) {
+                tickets = cap;
+            }
+            return { owner, tokensCount, rawBalance, tickets };
+        })
+        .filter(({ tickets }) => tickets.gt(0))
+        .sort((a, b) => (a.owner < b.owner ? -1 : a.owner > b.owner ? 1 : 0));
+};
+
+// Weighted sampling without replacement: each pick lands on a wallet with odds tickets / remaining tickets
+const seededWeightedDraw = (wallets, seed, count) => {
+    const { randomBigInt } = createSeededRandom(seed);
+    const totalTickets = wallets.reduce((sum, wallet) => sum.plus(wallet.tickets), new BigNumber(0));
+    // Wallets holding less than one sampling unit cannot be picked
+    const pool = wallets
+        .map((wallet) => ({
+            ...wallet,
+            units: BigInt(wallet.tickets.shiftedBy(TICKET_DECIMALS).integerValue(BigNumber.ROUND_FLOOR).toFixed(0)),
+        }))
+        .filter(wallet => wallet.units > BigInt(0));
+    let remainingUnits = pool.reduce((sum, wallet) => sum + wallet.units, BigInt(0));
+
+    const winners = [];
+    const picks = resolveWinnerCount(count, pool.length);
+    for (let i = 0; i < picks; i++) {
+        if (remainingUnits === BigInt(0)) {
+            throw createHttpError(400, 'No draw tickets are left to sample');
+        }
+        let target = randomBigInt(remainingUnits);
+        const index = pool.findIndex((wallet) => {
+            if (target < wallet.units) return true;
+            target -= wallet.units;
+            return false;
+        });
+        const [winner] = pool.splice(index, 1);
+        remainingUnits -= winner.units;
+
+        winners.push({
+            owner: winner.owner,
+            tokensCount: winner.tokensCount,
+            rawBalance: winner.rawBalance,
+            tickets: winner.tickets.toFixed(),
+            // Odds of this wallet winning any single pick from the full pool
+            winProbability: winner.tickets.dividedBy(totalTickets).toNumber(),
+        });
+    }
+
+    return { winners, totalTickets: totalTickets.toFixed() };
+};
+
+// Helper: Run the draw for a known seed, row-based by default or wallet-weighted when `weighting` is set
+// (weighted draws pick wallets, so their winners are always unique)
+const runPoolDraw = (entries, seed, numberOfWinners, { uniqueWinners, weighting, maxTicketsPerWallet, dampening, rarityTierWeights, assetType, decimals }) => {
+    if (!weighting) {
+        return { winners: seededShuffle(entries, seed, numberOfWinners, uniqueWinners), totalTickets: null };
+    }
+
+    const wallets = computeDrawTickets(entries, { weighting, maxTicketsPerWallet, dampening, rarityTierWeights, assetType, decimals });
+    return seededWeightedDraw(wallets, seed, numberOfWinners);
+};
+
+// Helper: Validate a `prizes` array of tiers ({ label, numberOfWinners, eligibility })
+const validatePrizes = (prizes) => {
+    if (!Array.isArray(prizes) || prizes.length === 0) {
+        throw createHttpError(400, 'prizes must be a non-empty array of { label, numberOfWinners, eligibility }');
+    }
+    prizes.forEach((prize, index) => {
+        if (!prize || typeof prize.label !== 'string' || !prize.label) {
+            throw createHttpError(400, `Prize tier ${index} is missing a label`);
+        }
+        if (!Number.isInteger(Number(prize.numberOfWinners)) || Number(prize.numberOfWinners) <= 0) {
+            throw createHttpError(400, `Prize tier "${prize.label}" needs a positive integer numberOfWinners`);
+        }
+    });
+};
+
+// Helper: Check a snapshot row against a prize tier's eligibility filter (traits use the shared trait filter syntax)
+const isEligibleForPrize = (entry, eligibility = {}, tokensCountByAccount, traitFilter) => {
+    const { minTokensCount, maxTokensCount, identifiers, fileNamesList } = eligibility;
+    const tokensCount = new BigNumber(tokensCountByAccount.get(entry.owner || entry.address) || 0);
+
+    if (minTokensCount !== undefined && tokensCount.lt(minTokensCount)) return false;
+    if (maxTokensCount !== undefined && tokensCount.gt(maxTokensCount)) return false;
+    if (Array.isArray(identifiers) && identifiers.length > 0 && !identifiers.includes(entry.identifier)) return false;
+    if (!matchesTraitFilter(entry, traitFilter)) return false;
+    if (Array.isArray(fileNamesList) && fileNamesList.length > 0 && !fileNamesList.includes(entry.metadataFileName)) return false;
+    return true;
+};
+
+// Tiers are drawn in order, each from its own derived seed, over the same snapshot;
+// wallets that already won are removed from later tiers unless allowMultipleWins is set
+const runPrizeDraw = (entries, seed, prizes, { allowMultipleWins, ...weightingOptions }) => {
+    const tokensCountByAccount = new Map(
+        generateUniqueOwnerStats(entries, weightingOptions.assetType, weightingOptions.decimals)
+            .map(({ owner, tokensCount }) => [owner, tokensCount])
+    );
+    const previousWinners = new Set();
+
+    return prizes.map((prize, index) => {
+        const traitFilter = buildTraitFilter(prize.eligibility);
+        const eligibleEntries = entries.filter((entry) =>
+            isEligibleForPrize(entry, prize.eligibility, tokensCountByAccount, traitFilter) &&
+            (allowMultipleWins || !previousWinners.has(entry.owner || entry.address))
+        );
+        const { winners, totalTickets } = runPoolDraw(eligibleEntries, sha256Hex(`${seed}:prize:${index}`), prize.numberOfWinners, weightingOptions);
+        winners.forEach((winner) => previousWinners.add(winner.owner || winner.address));
+
+        return {
+            label: prize.label,
+            numberOfWinners: Number(prize.numberOfWinners),
+            eligibility: prize.eligibility,
+            eligibleCount: eligibleEntries.length,
+            totalTickets,
+            winners,
+        };
+    });
+};
+
+// Helper: Run the draw for a known seed: row-based by default, wallet-weighted when `weighting` is set,
+// and tier by tier when `prizes` are given. Excluded addresses never enter the pool.
+const runSeededDraw = (entries, seed, numberOfWinners, {
+    prizes, allowMultipleWins = false, uniqueWinners = false, excludeAddresses = [],
+    weighting, maxTicketsPerWallet, dampening, rarityTierWeights, assetType, decimals,
+} = {}) => {
+    if (!Array.isArray(excludeAddresses) || excludeAddresses.some((address) => typeof address !== 'string')) {
+        throw createHttpError(400, 'excludeAddresses must be an array of addresses');
+    }
+    const excluded = new Set(excludeAddresses);
+    const eligibleEntries = entries.filter((entry) => !excluded.has(entry.owner || entry.address));
+
+    const poolOptions = { uniqueWinners, weighting, maxTicketsPerWallet, dampening, rarityTierWeights, assetType, decimals };
+    const drawSummary = {
+        uniqueWinners,
+        excludeAddresses: [...excluded].sort(),
+        weighting: weighting ? {
+            mode: weighting,
+            maxTicketsPerWallet,
+            dampening,
+            rarityTierWeights: weighting === 'rarityTier' ? { ...DEFAULT_RARITY_TIER_WEIGHTS, ...rarityTierWeights } : undefined,
+            assetType,
+            decimals,
+        } : null,
+    };
+
+    if (prizes !== undefined) {
+        validatePrizes(prizes);
+        const prizeResults = runPrizeDraw(eligibleEntries, seed, prizes, { allowMultipleWins, ...poolOptions });
+        return {
+            winners: prizeResults.flatMap(({ label, winners }) => winners.map((winner) => ({ ...winner, prize: label }))),
+            prizes: prizeResults,
+            ...drawSummary,
+            allowMultipleWins,
+        };
+    }
+
+    const { winners, totalTickets } = runPoolDraw(eligibleEntries, seed, numberOfWinners, poolOptions);
+    return {
+        winners,
+        prizes: undefined,
+        ...drawSummary,
+        weighting: drawSummary.weighting && { ...drawSummary.weighting, totalTickets },
+    };
+};
+
+const DRAW_HISTORY_LIMIT = 1000; // Most recent draws kept for cooldown lookups
+const drawHistoryFilePath = path.join(DATA_DIR, 'drawHistory.json');
+
+// Helper: Wallets that won any of the last `cooldownDraws` draws run on the same source
+const getCooldownAddresses = (source, cooldownDraws) => {
+    const draws = parseInt(cooldownDraws, 10);
+    if (cooldownDraws === undefined || draws === 0) {
+        return [];
+    }
+    if (Number.isNaN(draws) || draws < 0) {
+        throw createHttpError(400, 'cooldownDraws must be a non-negative integer');
+    }
+
+    return loadJsonFile(drawHistoryFilePath, [])
+        .filter((draw) => draw.source === source && (draw.network || 'mainnet') === getNetwork().name)
+        // A replay only sees the draws that had happened when its fixtures were recorded
+        .filter((draw) => !isReplayingFixtures() || draw.drawnAt < fixtureContext.getStore().startedAt)
+        .slice(-draws)
+        .flatMap((draw) => draw.winners);
+};
 
-    data.forEach(({ owner, address, balance }) => {
-        const account = owner || address; // Handle both NFT (owner) and SFT/ESDT (address)
+// Helper: Append a finished draw's winning wallets to the persistent history
+const recordDrawHistory = (source, snapshotHash, winners) => {
+    const history = loadJsonFile(drawHistoryFilePath, []);
+    history.push({
+        source,
+        network: getNetwork().name,
+        snapshotHash,
+        drawnAt: new Date().toISOString(),
+        winners: [...new Set(winners.map((winner) => winner.owner || winner.address))],
+    });
+    saveJsonFile(drawHistoryFilePath, history.slice(-DRAW_HISTORY_LIMIT));
+};
 
-        if (!account) {
-            console.warn("Skipping entry due to missing owner/address:", { owner, address });
-            return; // Skip if no valid owner
-        }
+// Helper: Collect the draw options shared by every *SnapshotDraw route from the request
+const pickDrawOptions = (req) => {
+    const {
+        commitId, salt, weighting, maxTicketsPerWallet, dampening, rarityTierWeights, prizes, allowMultipleWins, uniqueWinners, excludeAddresses, cooldownDraws,
+    } = req.body;
+    return {
+        commitId, salt, weighting, maxTicketsPerWallet, dampening, rarityTierWeights, prizes, allowMultipleWins, uniqueWinners, excludeAddresses, cooldownDraws,
+        drawParamsHash: hashDrawParams(req.route.path, req.body),
+    };
+};
 
-        if (!stats[account]) {
-            stats[account] = 0;
+// Resolve the draw seed: from a revealed commitment, or from the latest block plus the caller's salt
+const resolveDrawSeed = async ({ commitId, salt, drawParamsHash }) => {
+    if (commitId) {
+        const commitment = loadJsonFile(drawCommitmentsFilePath, {})[commitId];
+        if (!commitment) {
+            throw createHttpError(404, `Unknown draw commitment "${commitId}".`);
+        }
+        if (commitment.revealedAt && !isReplayingFixtures()) {
+            throw createHttpError(409, `Draw commitment "${commitId}" has already been used.`);
+        }
+        if (typeof salt !== 'string' || sha256Hex(salt) !== commitment.saltHash) {
+            throw createHttpError(400, 'Salt does not match the committed salt hash.');
+        }
+        // Otherwise whoever knows the salt could try parameters until the wallet they want wins
+        if (drawParamsHash !== commitment.paramsHash) {
+            throw createHttpError(400, `The draw route or parameters differ from the ones committed with "${commitId}".`);
+        }
+        if (!commitment.snapshotAt) {
+            throw createHttpError(400, `Draw commitment "${commitId}" has no snapshotAt; commit the draw again with one.`);
+        }
+        // The target block only exists on the network the commitment was made on
+        if ((commitment.network || 'mainnet') !== getNetwork().name) {
+            throw createHttpError(400, `Draw commitment "${commitId}" was made on ${commitment.network || 'mainnet'}.`);
         }
 
-        if (assetType === "NFT") {
-            // NFT: Each NFT counts as 1
-            stats[account] += 1;
-        } else if (assetType === "SFT") {
-            // SFT: Whole number (no decimals)
-            stats[account] += parseInt(balance || 0, 10);
-        } else if (assetType === "ESDT") {
-            // ESDT: Convert balance using dynamically fetched decimals
-            stats[account] += parseFloat((Number(balance || 0) / 10 ** decimals).toFixed(decimals));
+        const block = await fetchMetachainBlock(commitment.targetBlockNonce);
+        if (!block) {
+            throw createHttpError(409, `Target block ${commitment.targetBlockNonce} has not been produced yet. Retry shortly.`);
         }
+        return { commitId, salt, blockNonce: block.nonce, blockHash: block.hash, seed: deriveDrawSeed(block.hash, salt) };
+    }
+
+    const block = await fetchMetachainBlock();
+    if (!block) {
+        throw new Error('Failed to fetch the latest metachain block.');
+    }
+    const drawSalt = typeof salt === 'string' && salt ? salt : crypto.randomBytes(16).toString('hex');
+    return { commitId: null, salt: drawSalt, blockNonce: block.nonce, blockHash: block.hash, seed: deriveDrawSeed(block.hash, drawSalt) };
+};
+
+// Helper: Run a reproducible draw over snapshot rows and return the winners with the fairness proof.
+// `source` identifies what was drawn (e.g. "NFT:COLL-123abc") for the cooldown history.
+const drawWinners = async (entries, numberOfWinners, {
+    source, commitId, salt, drawParamsHash, cooldownDraws, excludeAddresses = [], formatWinner = (winner) => winner, ...drawOptions
+} = {}) => {
+    if (!Array.isArray(excludeAddresses)) {
+        throw createHttpError(400, 'excludeAddresses must be an array of addresses');
+    }
+    const cooldownAddresses = getCooldownAddresses(source, cooldownDraws);
+
+    const drawSeed = await resolveDrawSeed({ commitId, salt, drawParamsHash });
+    const snapshotHash = hashDrawSnapshot(entries);
+    const { winners, prizes, ...drawSummary } = runSeededDraw(entries, drawSeed.seed, numberOfWinners, {
+        ...drawOptions,
+        excludeAddresses: [...excludeAddresses, ...cooldownAddresses],
     });
 
-    return Object.entries(stats)
-        .map(([account, tokensCount]) => ({
-            owner: account,
-            tokensCount: assetType === "NFT" || assetType === "SFT" ? tokensCount : tokensCount.toFixed(decimals),
-        }))
-        .sort((a, b) => parseFloat(b.tokensCount) - parseFloat(a.tokensCount));
+    // A commitment can only be revealed once, and keeps the snapshot it was revealed against.
+    // Replays re-run an earlier draw, so they leave the commitment and the draw history untouched.
+    const replaying = isReplayingFixtures();
+    if (commitId && !replaying) {
+        const commitments = loadJsonFile(drawCommitmentsFilePath, {});
+        commitments[commitId] = {
+            ...commitments[commitId],
+            revealedAt: new Date().toISOString(),
+            blockHash: drawSeed.blockHash,
+            snapshotHash,
+        };
+        saveJsonFile(drawCommitmentsFilePath, commitments);
+    }
+    if (!replaying) {
+        recordDrawHistory(source, snapshotHash, winners);
+    }
+
+    return {
+        winners: winners.map(formatWinner),
+        prizes: prizes && prizes.map((prize) => ({ ...prize, winners: prize.winners.map(formatWinner) })),
+        fairness: {
+            algorithmVersion: DRAW_ALGORITHM_VERSION,
+            ...drawSeed,
+            snapshotHash,
+            entryCount: entries.length,
+            ...drawSummary,
+            cooldownDraws,
+            cooldownExcludedCount: new Set(cooldownAddresses).size,
+        },
+    };
 };
 
+// Draw routes that can take their snapshot as of a past `snapshotAt`, which commit-reveal draws require
+const COMMITTABLE_DRAW_ROUTES = ['/nftSnapshotDraw', '/sftSnapshotDraw', '/esdtSnapshotDraw'];
+
+// Draw Commitment Endpoint: fix the salt (by hash), the draw route and parameters, and a future block.
+// The snapshot has to be as of `snapshotAt` no later than the commitment: a snapshot taken live at reveal time,
+// once the block hash is public, would let the salt holder move holdings around until the wallet they want wins.
+app.post('/drawCommit', checkToken, async (req, res) => {
+    try {
+        const { saltHash, route, params } = req.body;
+
+        if (typeof saltHash !== 'string' || !/^[0-9a-f]{64}$/i.test(saltHash)) {
+            return res.status(400).json({ error: 'saltHash must be the hex SHA-256 hash of your salt' });
+        }
+        if (!COMMITTABLE_DRAW_ROUTES.includes(route)) {
+            return res.status(400).json({ error: `route must be the draw route to reveal on, one of ${COMMITTABLE_DRAW_ROUTES.join(', ')}` });
+        }
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+            return res.status(400).json({ error: 'params must be the body the draw route will be called with' });
+        }
+        if (params.snapshotAt === undefined) {
+            return res.status(400).json({ error: 'params.snapshotAt is required: committed draws use a snapshot as of a moment no later than the commitment' });
+        }
+        const snapshotAt = parseSnapshotAt(params.snapshotAt); // Rejects moments in the future
+
+        const latestBlock = await fetchMetachainBlock();
+        if (!latestBlock) {
+            throw new Error('Failed to fetch the latest metachain block.');
+        }
+
+        const commitId = crypto.randomUUID();
+        const commitment = {
+            saltHash: saltHash.toLowerCase(),
+            targetBlockNonce: latestBlock.nonce + DRAW_COMMIT_BLOCK_DELAY,
+            route,
+            paramsHash: hashDrawParams(route, params),
+            snapshotAt: new Date(snapshotAt * 1000).toISOString(),
+            network: getNetwork().name,
+            committedAt: new Date().toISOString(),
+        };
+
+        const commitments = loadJsonFile(drawCommitmentsFilePath, {});
+        commitments[commitId] = commitment;
+        saveJsonFile(drawCommitmentsFilePath, commitments);
+
+        res.json({
+            commitId,
+            ...commitment,
+            algorithmVersion: DRAW_ALGORITHM_VERSION,
+            message: `Draw committed. Call ${route} with these params, commitId and your salt once block ${commitment.targetBlockNonce} is produced.`,
+        });
+    } catch (error) {
+        console.error('Error during draw commitment:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+const DRAW_VERIFY_MAX_ENTRIES = 100000; // Verification sorts and hashes every entry in the request
+
+// Draw Verification Endpoint: re-run a draw from its published inputs. Free, but it needs a key: the block lookup
+// shares the upstream rate budget with the paid routes, and the key's daily quota bounds how often it runs.
+app.post('/drawVerify', checkToken, async (req, res) => {
+    try {
+        const { entries, numberOfWinners, algorithmVersion, blockNonce, blockHash, salt, seed, snapshotHash, winners, weighting, prizes, allowMultipleWins, uniqueWinners, excludeAddresses } = req.body;
+
+        if (!Array.isArray(entries) || entries.length === 0) {
+            return res.status(400).json({ error: 'entries must be the non-empty snapshot returned with the draw' });
+        }
+        if (entries.length > DRAW_VERIFY_MAX_ENTRIES) {
+            return res.status(400).json({ error: `entries can hold at most ${DRAW_VERIFY_MAX_ENTRIES} snapshot rows` });
+        }
+        if (algorithmVersion && algorithmVersion !== DRAW_ALGORITHM_VERSION) {
+            return res.status(400).json({ error: `Unsupported algorithm version "${algorithmVersion}". Supported: ${DRAW_ALGORITHM_VERSION}` });
+        }
+
+        const checks = {};
+
+        // Re-derive the seed from the on-chain block hash whenever the block and salt are known
+        let drawSeed = seed;
+        if (blockNonce !== undefined && salt !== undefined) {
+            const block = await fetchMetachainBlock(blockNonce);
+            if (!block) {
+                return res.status(404).json({ error: `Block ${blockNonce} not found on the metachain.` });
+            }
+            if (blockHash !== undefined) {
+                checks.blockHash = block.hash === blockHash;
+            }
+            drawSeed = deriveDrawSeed(block.hash, salt);
+            if (seed !== undefined) {
+                checks.seed = drawSeed === seed;
+            }
+        }
+        if (!drawSeed) {
+            return res.status(400).json({ error: 'Provide either blockNonce and salt, or seed' });
+        }
+
+        const recomputedSnapshotHash = hashDrawSnapshot(entries);
+        if (snapshotHash !== undefined) {
+            checks.snapshotHash = recomputedSnapshotHash === snapshotHash;
+        }
+
+        // `weighting` is the object published in the draw's fairness section, `prizes` the tiers from the draw response
+        const { winners: recomputedWinners, prizes: recomputedPrizes } = runSeededDraw(entries, drawSeed, numberOfWinners, {
+            prizes,
+            allowMultipleWins,
+            uniqueWinners,
+            excludeAddresses,
+            weighting: weighting?.mode,
+            maxTicketsPerWallet: weighting?.maxTicketsPerWallet,
+            dampening: weighting?.dampening,
+            rarityTierWeights: weighting?.rarityTierWeights,
+            assetType: weighting?.assetType,
+            decimals: weighting?.decimals,
+        });
+
+        const sameWinners = (expected, actual) => expected.length === actual.length &&
+            expected.every((winner, index) => getDrawWinnerKey(winner) === getDrawWinnerKey(actual[index]));
+        if (Array.isArray(winners)) {
+            checks.winners = sameWinners(winners, recomputedWinners);
+        }
+        if (recomputedPrizes && prizes.every((prize) => Array.isArray(prize.winners))) {
+            checks.prizes = prizes.every((prize, index) => sameWinners(prize.winners, recomputedPrizes[index].winners));
+        }
+
+        res.json({
+            verified: Object.keys(checks).length > 0 && Object.values(checks).every(Boolean),
+            checks,
+            algorithmVersion: DRAW_ALGORITHM_VERSION,
+            seed: drawSeed,
+            snapshotHash: recomputedSnapshotHash,
+            winners: recomputedWinners,
+            prizes: recomputedPrizes,
+        });
+    } catch (error) {
+        console.error('Error during draw verification:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
 
 // NFT Snapshot & Draw Endpoint
-app.post('/nftSnapshotDraw', checkToken, handleUsageFee, async (req, res) => {
+registerSnapshotRoute('/nftSnapshotDraw', async (req, res) => {
     try {
-        const { collectionTicker, numberOfWinners, includeSmartContracts, traitType, traitValue, fileNamesList } = req.body;
+        const { collectionTicker, numberOfWinners, includeSmartContracts, traitType, traitValue, traitFilters, fileNamesList, includeSnapshot, snapshotAt, effectiveHolders, weighting } = req.body;
+        const traitFilter = buildTraitFilter({ traitType, traitValue, traitFilters });
 
-        // Fetch NFT owners
-        const addresses = await fetchNftOwnersInBatches(collectionTicker, includeSmartContracts);
+        // Fetch NFT owners (as of snapshotAt when given)
+        const { rows: addresses, unresolved } = await fetchNftOwnersSnapshot(collectionTicker, includeSmartContracts, { snapshotAt, effectiveHolders });
         if (addresses.length === 0) {
             return res.status(404).json({ error: 'No addresses found for the collection.' });
         }
+        const snapshotId = saveSnapshot('NFT', { collectionTicker, includeSmartContracts, snapshotAt, effectiveHolders }, addresses);
 
-        // Apply filtering based on traits if provided
-        let filteredAddresses = addresses;
-        if (traitType && traitValue) {
-            filteredAddresses = filteredAddresses.filter((item) =>
-                Array.isArray(item.attributes) &&
-                item.attributes.some(attribute => attribute.trait_type === traitType && attribute.value === traitValue)
-            );
-        }
+        // Rarity-weighted draws rank every NFT within the collection before filtering
+        const rankedAddresses = weighting === 'rarityTier'
+            ? await attachNftRarity(collectionTicker, addresses, includeSmartContracts ? addresses : undefined)
+            : addresses;
 
-        // Apply filtering based on metadata file names if provided
-        if (fileNamesList && fileNamesList.length > 0) {
-            filteredAddresses = filteredAddresses.filter((item) =>
-                fileNamesList.includes(item.metadataFileName)
-            );
-        }
+        // Apply trait and metadata file name filters if provided
+        const filteredAddresses = filterNftRows(rankedAddresses, traitFilter, fileNamesList);
 
         if (filteredAddresses.length === 0) {
             return res.status(404).json({ error: 'No NFTs found matching the criteria.' });
         }
 
-        // Select random winners
-        const shuffled = filteredAddresses.sort(() => 0.5 - Math.random());
+        // Select winners with the seeded, reproducible draw
         // For NFTs, we don't need to convert balances - an NFT is a single unit
-        const winners = shuffled.slice(0, numberOfWinners);
+        const { winners, prizes: prizeWinners, fairness } = await drawWinners(filteredAddresses, numberOfWinners, {
+            ...pickDrawOptions(req), source: `NFT:${collectionTicker}`, assetType: "NFT",
+        });
 
         // Return only winners without CSV or unique owner stats
         res.json({
             winners,
+            prizes: prizeWinners,
+            fairness,
+            snapshot: includeSnapshot ? filteredAddresses.map(toDrawSnapshotEntry) : undefined,
             collectionTicker,
             includeSmartContracts,
             traitType,
             traitValue,
+            traitFilters,
             fileNamesList,
-            message: `${numberOfWinners} winners have been selected from collection ${collectionTicker}.`,
+            snapshotId,
+            snapshotAt,
+            effectiveHolders,
+            unresolved: snapshotAt !== undefined ? unresolved : undefined,
+            message: `${winners.length} winners have been selected from collection ${collectionTicker}.`,
             usageFeeHash: req.usageFeeHash, // Attach usage fee hash
         });
 
     } catch (error) {
         console.error('Error during NFT Snapshot & Draw:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
 // NFT Snapshot CSV Data Endpoint
-app.post('/nftSnapshotCsv', checkToken, handleUsageFee, async (req, res) => {
+registerSnapshotRoute('/nftSnapshotCsv', async (req, res) => {
     try {
-        const { collectionTicker, includeSmartContracts, traitType, traitValue, fileNamesList } = req.body;
+        const { collectionTicker, includeSmartContracts, traitType, traitValue, traitFilters, fileNamesList, snapshotAt, effectiveHolders, includeRarity } = req.body;
+        const traitFilter = buildTraitFilter({ traitType, traitValue, traitFilters });
 
-        // Fetch NFT owners
-        const addresses = await fetchNftOwnersInBatches(collectionTicker, includeSmartContracts);
+        // Fetch NFT owners (as of snapshotAt when given)
+        const { rows: addresses, unresolved } = await fetchNftOwnersSnapshot(collectionTicker, includeSmartContracts, { snapshotAt, effectiveHolders });
         if (addresses.length === 0) {
             return res.status(404).json({ error: 'No addresses found for the collection.' });
         }
+        const snapshotId = saveSnapshot('NFT', { collectionTicker, includeSmartContracts, snapshotAt, effectiveHolders }, addresses);
 
-        // Apply filtering based on traits if provided
-        let filteredAddresses = addresses;
-        if (traitType && traitValue) {
-            filteredAddresses = filteredAddresses.filter((item) =>
-                Array.isArray(item.attributes) &&
-                item.attributes.some(attribute => attribute.trait_type === traitType && attribute.value === traitValue)
-            );
-        }
+        // Rarity columns rank every NFT within the collection before filtering
+        const rankedAddresses = includeRarity
+            ? await attachNftRarity(collectionTicker, addresses, includeSmartContracts ? addresses : undefined)
+            : addresses;
 
-        // Apply filtering based on metadata file names if provided
-        if (fileNamesList && fileNamesList.length > 0) {
-            filteredAddresses = filteredAddresses.filter((item) =>
-                fileNamesList.includes(item.metadataFileName)
-            );
-        }
+        // Apply trait and metadata file name filters if provided
+        const filteredAddresses = filterNftRows(rankedAddresses, traitFilter, fileNamesList);
 
         if (filteredAddresses.length === 0) {
             return res.status(404).json({ error: 'No NFTs found matching the criteria.' });
@@ -542,6 +3135,10 @@ app.post('/nftSnapshotCsv', checkToken, handleUsageFee, async (req, res) => {
             identifier: address.identifier,
             metadataFileName: address.metadataFileName,
             attributes: address.attributes ? JSON.stringify(address.attributes) : '', // Include attributes
+            location: address.location, // Only set for effective holder snapshots
+            rarityRank: address.rarityRank, // Only set when includeRarity is requested
+            rarityScore: address.rarityScore,
+            rarityTier: address.rarityTier,
         })));
 
         // Return CSV string
@@ -551,43 +3148,38 @@ app.post('/nftSnapshotCsv', checkToken, handleUsageFee, async (req, res) => {
             includeSmartContracts,
             traitType,
             traitValue,
+            traitFilters,
             fileNamesList,
+            snapshotId,
+            snapshotAt,
+            effectiveHolders,
+            includeRarity,
+            unresolved: snapshotAt !== undefined ? unresolved : undefined,
             message: `CSV snapshot for collection ${collectionTicker} has been generated.`,
             usageFeeHash: req.usageFeeHash, // Attach usage fee hash
         });
 
     } catch (error) {
         console.error('Error during NFT Snapshot CSV Data:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
 // NFT Unique Owners Stats Endpoint
-app.post('/nftUniqueOwnersStats', checkToken, handleUsageFee, async (req, res) => {
+registerSnapshotRoute('/nftUniqueOwnersStats', async (req, res) => {
     try {
-        const { collectionTicker, includeSmartContracts, traitType, traitValue, fileNamesList } = req.body;
+        const { collectionTicker, includeSmartContracts, traitType, traitValue, traitFilters, fileNamesList, snapshotAt, effectiveHolders } = req.body;
+        const traitFilter = buildTraitFilter({ traitType, traitValue, traitFilters });
 
-        // Fetch NFT owners
-        const addresses = await fetchNftOwnersInBatches(collectionTicker, includeSmartContracts);
+        // Fetch NFT owners (as of snapshotAt when given)
+        const { rows: addresses, unresolved } = await fetchNftOwnersSnapshot(collectionTicker, includeSmartContracts, { snapshotAt, effectiveHolders });
         if (addresses.length === 0) {
             return res.status(404).json({ error: 'No addresses found for the collection.' });
         }
+        const snapshotId = saveSnapshot('NFT', { collectionTicker, includeSmartContracts, snapshotAt, effectiveHolders }, addresses);
 
-        // Apply filtering based on traits if provided
-        let filteredAddresses = addresses;
-        if (traitType && traitValue) {
-            filteredAddresses = filteredAddresses.filter((item) =>
-                Array.isArray(item.attributes) &&
-                item.attributes.some(attribute => attribute.trait_type === traitType && attribute.value === traitValue)
-            );
-        }
-
-        // Apply filtering based on metadata file names if provided
-        if (fileNamesList && fileNamesList.length > 0) {
-            filteredAddresses = filteredAddresses.filter((item) =>
-                fileNamesList.includes(item.metadataFileName)
-            );
-        }
+        // Apply trait and metadata file name filters if provided
+        const filteredAddresses = filterNftRows(addresses, traitFilter, fileNamesList);
 
         if (filteredAddresses.length === 0) {
             return res.status(404).json({ error: 'No NFTs found matching the criteria.' });
@@ -603,21 +3195,62 @@ app.post('/nftUniqueOwnersStats', checkToken, handleUsageFee, async (req, res) =
             includeSmartContracts,
             traitType,
             traitValue,
+            traitFilters,
             fileNamesList,
+            snapshotId,
+            snapshotAt,
+            effectiveHolders,
+            unresolved: snapshotAt !== undefined ? unresolved : undefined,
             message: `Unique owner statistics for collection ${collectionTicker} have been generated.`,
             usageFeeHash: req.usageFeeHash, // Attach usage fee hash
         });
 
     } catch (error) {
         console.error('Error during NFT Unique Owners Stats:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// NFT Rarity Endpoint: trait frequencies and the rarity ranking of a whole collection
+registerSnapshotRoute('/nftRarity', async (req, res) => {
+    try {
+        const { collectionTicker, limit } = req.body;
+        if (!collectionTicker) {
+            return res.status(400).json({ error: 'collectionTicker is required' });
+        }
+        if (limit !== undefined && (!Number.isInteger(Number(limit)) || Number(limit) <= 0)) {
+            return res.status(400).json({ error: 'limit must be a positive integer' });
+        }
+
+        // Rarity is intrinsic to the collection, so NFTs held by smart contracts count too
+        const addresses = await fetchNftOwnersInBatches(collectionTicker, true);
+        if (addresses.length === 0) {
+            return res.status(404).json({ error: 'No NFTs found for the collection.' });
+        }
+
+        const { totalSupply, traits, traitCounts, ranking } = computeNftRarity(addresses);
+
+        res.json({
+            collectionTicker,
+            totalSupply,
+            tiers: RARITY_TIERS,
+            traits,
+            traitCounts,
+            ranking: limit !== undefined ? ranking.slice(0, Number(limit)) : ranking,
+            message: `Rarity ranking for collection ${collectionTicker} has been generated.`,
+            usageFeeHash: req.usageFeeHash, // Attach usage fee hash
+        });
+
+    } catch (error) {
+        console.error('Error during NFT Rarity:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
 
 // Helper function to fetch SFT owners
 const fetchSftOwners = async (collectionTicker, editions, includeSmartContracts) => {
-    const apiProvider = "https://api.multiversx.com";
+    const apiProvider = getApiUrl();
     const owners = [];
     const size = 1000; // API allows fetching up to 1000 owners per call
 
@@ -628,7 +3261,7 @@ const fetchSftOwners = async (collectionTicker, editions, includeSmartContracts)
             let from = 0;
 
             while (hasMore) {
-                const response = await fetch(
+                const response = await apiFetch(
                     `${apiProvider}/nfts/${editionTicker}/accounts?size=${size}&from=${from}`
                 );
 
@@ -648,12 +3281,14 @@ const fetchSftOwners = async (collectionTicker, editions, includeSmartContracts)
                     filteredOwners.forEach(owner => {
                         owners.push({
                             address: owner.address,
+                            identifier: editionTicker,
                             balance: owner.balance,
                         });
                     });
 
                     from += size;
                     hasMore = data.length === size;
+                    reportJobProgress({ stage: 'fetchSftOwners', edition: editionTicker, fetched: owners.length });
                 }
             }
         }
@@ -666,29 +3301,31 @@ const fetchSftOwners = async (collectionTicker, editions, includeSmartContracts)
 };
 
 // SFT Snapshot & Draw Endpoint
-app.post('/sftSnapshotDraw', checkToken, handleUsageFee, async (req, res) => {
+registerSnapshotRoute('/sftSnapshotDraw', async (req, res) => {
     try {
-        const { collectionTicker, editions, numberOfWinners, includeSmartContracts } = req.body;
+        const { collectionTicker, editions, numberOfWinners, includeSmartContracts, includeSnapshot, weighting, prizes, snapshotAt } = req.body;
 
-        if (!collectionTicker || !editions || !numberOfWinners) {
-            return res.status(400).json({ error: 'Missing required parameters: collectionTicker, editions, numberOfWinners' });
+        if (!collectionTicker || !editions || (!numberOfWinners && !prizes)) {
+            return res.status(400).json({ error: 'Missing required parameters: collectionTicker, editions, numberOfWinners (or prizes)' });
         }
 
         // Convert editions input to an array (e.g., "01,02,03" -> ["01", "02", "03"])
         const editionArray = editions.split(',').map(e => e.trim());
 
-        // Fetch SFT owners
-        const sftOwners = await fetchSftOwners(collectionTicker, editionArray, includeSmartContracts);
+        // Fetch SFT owners (as of snapshotAt when given)
+        const { rows: sftOwners, unresolved } = await fetchSftOwnersSnapshot(collectionTicker, editionArray, includeSmartContracts, snapshotAt);
         if (sftOwners.length === 0) {
             return res.status(404).json({ error: 'No SFT owners found for the specified collection and editions' });
         }
+        const snapshotId = saveSnapshot('SFT', { collectionTicker, editions: editionArray, includeSmartContracts, snapshotAt }, sftOwners);
 
         // ✅ Generate unique owner stats with updated function
         const uniqueOwnerStats = generateUniqueOwnerStats(sftOwners, "SFT");
 
-        // Randomly select winners
-        const shuffled = sftOwners.sort(() => 0.5 - Math.random());
-        const winners = shuffled.slice(0, numberOfWinners);
+        // Select winners with the seeded, reproducible draw
+        const { winners, prizes: prizeWinners, fairness } = await drawWinners(sftOwners, numberOfWinners, {
+            ...pickDrawOptions(req), source: `SFT:${collectionTicker}:${editions}`, assetType: "SFT",
+        });
 
         // Generate CSV for all SFT owners
         const csvString = await generateCsv(sftOwners.map(owner => ({
@@ -699,16 +3336,22 @@ app.post('/sftSnapshotDraw', checkToken, handleUsageFee, async (req, res) => {
         // Response payload
         res.json({
             winners,
+            prizes: prizeWinners,
+            fairness,
+            snapshot: includeSnapshot ? sftOwners.map(toDrawSnapshotEntry) : undefined,
             uniqueOwnerStats, // ✅ This now includes proper owners & integer token counts
             totalOwners: sftOwners.length,
-            message: `${numberOfWinners} winners have been selected from the SFT collection "${collectionTicker}" across editions "${editions}".`,
+            snapshotId,
+            snapshotAt,
+            unresolved: snapshotAt !== undefined ? unresolved : undefined,
+            message: `${winners.length} winners have been selected from the SFT collection "${collectionTicker}" across editions "${editions}".`,
             csvString,
             usageFeeHash: req.usageFeeHash, // Attach usage fee hash
         });
 
     } catch (error) {
         console.error('Error during SFT Snapshot & Draw:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
@@ -718,31 +3361,16 @@ const fetchEsdtOwners = async (token, includeSmartContracts) => {
     const batchSize = 1000; // Max batch size per API call
     let from = 0;
     let totalFetched = 0;
-    const maxRetries = 5;
 
     console.log(`Fetching owners for ESDT: ${token}`);
 
-    const fetchWithRetry = async (url, retries = maxRetries, delay = 1000) => {
-        for (let attempt = 1; attempt <= retries; attempt++) {
-            try {
-                const response = await fetch(url);
-                if (!response.ok) throw new Error(`HTTP ${response.status}`);
-                return await response.json();
-            } catch (error) {
-                console.warn(`Fetch failed (attempt ${attempt}): ${error.message}`);
-                if (attempt === retries) throw error;
-                await new Promise(resolve => setTimeout(resolve, delay * attempt)); // Exponential backoff
-            }
-        }
-    };
-
     const makeBatchRequests = async () => {
         while (true) {
-            const url = `https://api.multiversx.com/tokens/${token}/accounts?size=${batchSize}&from=${from}`;
+            const url = `${getApiUrl()}/tokens/${token}/accounts?size=${batchSize}&from=${from}`;
             console.log(`Fetching batch: ${from} - ${from + batchSize}`);
 
             try {
-                const data = await fetchWithRetry(url);
+                const data = await apiFetchJson(url);
 
                 if (!data || data.length === 0) break;
 
@@ -759,9 +3387,7 @@ const fetchEsdtOwners = async (token, includeSmartContracts) => {
                 totalFetched += data.length;
 
                 console.log(`Total owners fetched: ${totalFetched}`);
-
-                // API Limit: Allow a 2-second pause between batches
-                await new Promise(resolve => setTimeout(resolve, 2000));
+                reportJobProgress({ stage: 'fetchEsdtOwners', fetched: totalFetched });
 
                 // Stop if we reach 100k owners (to prevent excessive load)
                 if (totalFetched >= 100000) {
@@ -782,13 +3408,355 @@ const fetchEsdtOwners = async (token, includeSmartContracts) => {
 };
 
 
+// ------------------ Historical Snapshots ------------------
+
+// Helper: Parse `snapshotAt` (ISO date or unix seconds) into unix seconds, rejecting future moments
+const parseSnapshotAt = (snapshotAt) => {
+    const timestamp = /^\d+$/.test(String(snapshotAt))
+        ? Number(snapshotAt)
+        : Math.floor(new Date(snapshotAt).getTime() / 1000);
+
+    if (!Number.isFinite(timestamp) || timestamp <= 0) {
+        throw createHttpError(400, 'snapshotAt must be an ISO date or a unix timestamp in seconds');
+    }
+    if (timestamp >= Date.now() / 1000) {
+        throw createHttpError(400, 'snapshotAt must be in the past');
+    }
+    return timestamp;
+};
+
+// Helper function to fetch the successful transfers of a collection or token after a timestamp, newest first
+const fetchTransfersAfter = async (resourcePath, timestamp) => {
+    const baseUrl = `${getApiUrl()}/${resourcePath}/transfers?size=1000&status=success&after=${timestamp}`;
+    const transfers = await fetchAllTransactions(baseUrl);
+    return transfers
+        .filter(tx => tx.status === "success")
+        .sort((a, b) => Number(b.timestamp) - Number(a.timestamp));
+};
+
+// Token movements carried by a transfer (multi-transfers name the real receiver in their arguments)
+const getTransferMovements = (tx) => (tx.action?.arguments?.transfers || []).map(transfer => ({
+    identifier: transfer.identifier || transfer.token,
+    value: BigInt(transfer.value || '0'),
+    sender: tx.sender,
+    receiver: tx.action?.arguments?.receiver || tx.receiver,
+    txHash: tx.txHash || tx.hash,
+}));
+
+// Helper: Rewind NFT ownership rows to `snapshotAt` by undoing every later transfer, newest first.
+// NFTs minted after the snapshot are dropped; NFTs whose history does not line up are reported as unresolved.
+const rewindNftOwners = async (collectionTicker, rows, snapshotAt) => {
+    const owners = new Map(rows.map(row => [row.identifier, row.owner]));
+    const unresolved = new Map();
+
+    const transfers = await fetchTransfersAfter(`collections/${collectionTicker}`, snapshotAt);
+    transfers.forEach(tx => {
+        getTransferMovements(tx)
+            .filter(movement => movement.identifier?.startsWith(`${collectionTicker}-`))
+            .forEach(({ identifier, sender, receiver, txHash }) => {
+                if (!owners.has(identifier)) {
+                    unresolved.set(identifier, 'No longer exists (burned?), so its metadata cannot be restored');
+                    return;
+                }
+                if (owners.get(identifier) !== receiver && !unresolved.has(identifier)) {
+                    unresolved.set(identifier, `Transfer ${txHash} does not match the owner it should have moved the NFT to`);
+                }
+                owners.set(identifier, sender);
+            });
+    });
+
+    return {
+        rows: rows
+            .filter(row => !(Number(row.timestamp) > snapshotAt) && !unresolved.has(row.identifier))
+            .map(row => ({ ...row, owner: owners.get(row.identifier) })),
+        unresolved: [...unresolved].map(([identifier, reason]) => ({ identifier, reason })),
+    };
+};
+
+// Helper: Rewind SFT/ESDT balance rows to `snapshotAt`; rows without an identifier belong to `defaultIdentifier`.
+// Holders whose balance would turn negative (mints/burns outside transfers) are reported as unresolved.
+const rewindBalances = async (resourcePath, rows, snapshotAt, defaultIdentifier, isTracked) => {
+    const balances = new Map();
+    const keyOf = (identifier, address) => `${identifier}|${address}`;
+    rows.forEach(row => {
+        balances.set(keyOf(row.identifier || defaultIdentifier, row.address), BigInt(row.balance || '0'));
+    });
+
+    const transfers = await fetchTransfersAfter(resourcePath, snapshotAt);
+    transfers.forEach(tx => {
+        getTransferMovements(tx)
+            .filter(movement => isTracked(movement.identifier))
+            .forEach(({ identifier, value, sender, receiver }) => {
+                const receiverKey = keyOf(identifier, receiver);
+                const senderKey = keyOf(identifier, sender);
+                balances.set(receiverKey, (balances.get(receiverKey) || BigInt(0)) - value);
+                balances.set(senderKey, (balances.get(senderKey) || BigInt(0)) + value);
+            });
+    });
+
+    const rewound = [];
+    const unresolved = [];
+    balances.forEach((balance, key) => {
+        const [identifier, address] = key.split('|');
+        if (balance < BigInt(0)) {
+            unresolved.push({ identifier, address, reason: 'Transfer history leads to a negative balance' });
+        } else if (balance > BigInt(0)) {
+            rewound.push(identifier === defaultIdentifier
+                ? { address, balance: balance.toString() }
+                : { address, identifier, balance: balance.toString() });
+        }
+    });
+
+    return { rows: rewound, unresolved };
+};
+
+// Helper: NFT owner rows now, or as of `snapshotAt` when given.
+// With `effectiveHolders`, staked NFTs count for the wallet that staked them (live state only).
+const fetchNftOwnersSnapshot = async (collectionTicker, includeSmartContracts, { snapshotAt, effectiveHolders } = {}) => {
+    if (effectiveHolders) {
+        if (snapshotAt !== undefined) {
+            throw createHttpError(400, 'effectiveHolders cannot be combined with snapshotAt: staking positions are only known for today');
+        }
+        return { rows: await fetchEffectiveNftOwners(collectionTicker, includeSmartContracts), unresolved: [] };
+    }
+    if (snapshotAt === undefined) {
+        return { rows: await fetchNftOwnersInBatches(collectionTicker, includeSmartContracts), unresolved: [] };
+    }
+
+    const timestamp = parseSnapshotAt(snapshotAt);
+    // Contracts are only filtered after rewinding: an NFT listed today may have been in a wallet back then
+    const currentRows = await fetchNftOwnersInBatches(collectionTicker, true);
+    const { rows, unresolved } = await rewindNftOwners(collectionTicker, currentRows, timestamp);
+    return {
+        rows: includeSmartContracts ? rows : rows.filter(row => typeof row.owner === 'string' && !isSmartContractAddress(row.owner)),
+        unresolved,
+    };
+};
+
+// Helper: SFT owner rows now, or as of `snapshotAt` when given
+const fetchSftOwnersSnapshot = async (collectionTicker, editions, includeSmartContracts, snapshotAt) => {
+    if (snapshotAt === undefined) {
+        return { rows: await fetchSftOwners(collectionTicker, editions, includeSmartContracts), unresolved: [] };
+    }
+
+    const timestamp = parseSnapshotAt(snapshotAt);
+    const editionTickers = editions.map(edition => `${collectionTicker}-${edition}`);
+    const currentRows = await fetchSftOwners(collectionTicker, editions, true);
+    const { rows, unresolved } = await rewindBalances(
+        `collections/${collectionTicker}`, currentRows, timestamp, null, identifier => editionTickers.includes(identifier)
+    );
+    return {
+        rows: includeSmartContracts ? rows : rows.filter(row => !isSmartContractAddress(row.address)),
+        unresolved,
+    };
+};
+
+// Helper: ESDT holder rows now, or as of `snapshotAt` when given
+const fetchEsdtOwnersSnapshot = async (token, includeSmartContracts, snapshotAt) => {
+    if (snapshotAt === undefined) {
+        return { rows: await fetchEsdtOwners(token, includeSmartContracts), unresolved: [] };
+    }
+
+    const timestamp = parseSnapshotAt(snapshotAt);
+    const currentRows = await fetchEsdtOwners(token, true);
+    const { rows, unresolved } = await rewindBalances(`tokens/${token}`, currentRows, timestamp, token, identifier => identifier === token);
+    return {
+        rows: includeSmartContracts ? rows : rows.filter(row => !isSmartContractAddress(row.address)),
+        unresolved,
+    };
+};
+
+
+// ------------------ Persisted Snapshots ------------------
+
+const snapshotsDirPath = path.join(DATA_DIR, 'snapshots');
+const SNAPSHOT_RETENTION_MS = (Number(process.env.SNAPSHOT_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000; // Also applies to fixture bundles
+const SNAPSHOT_PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+fs.mkdirSync(snapshotsDirPath, { recursive: true });
+
+const getSnapshotFilePath = (snapshotId) => path.join(snapshotsDirPath, `${path.basename(snapshotId)}.json`);
+
+const loadSnapshot = (snapshotId) => loadJsonFile(getSnapshotFilePath(snapshotId), null);
+
+// Helper: Store fetched snapshot rows with their metadata and return the new snapshot ID.
+// `type` is NFT, SFT, ESDT, stakedNFT or stakedESDT; `params` describe what was fetched.
+const saveSnapshot = (type, params, rows) => {
+    const snapshotId = crypto.randomUUID();
+    saveJsonFile(getSnapshotFilePath(snapshotId), {
+        snapshotId,
+        type,
+        params,
+        network: getNetwork().name,
+        apiKeyId: apiKeyContext.getStore(),
+        takenAt: new Date().toISOString(),
+        rowCount: rows.length,
+        snapshotHash: hashDrawSnapshot(rows),
+        fixturesRecorded: registerFixtureSnapshot(snapshotId) || undefined,
+        replayOf: isReplayingFixtures() ? fixtureContext.getStore().snapshotId : undefined,
+        rows,
+    });
+    return snapshotId;
+};
+
+// Helper: Delete stored snapshots and fixture bundles older than SNAPSHOT_RETENTION_MS.
+// Neither changes once written, so the file time is used instead of parsing every (large) file.
+const pruneExpiredSnapshots = () => {
+    let pruned = 0;
+    [snapshotsDirPath, fixturesDirPath].forEach((dirPath) => {
+        fs.readdirSync(dirPath)
+            .filter((fileName) => fileName.endsWith('.json'))
+            .forEach((fileName) => {
+                const filePath = path.join(dirPath, fileName);
+                if (Date.now() - fs.statSync(filePath).mtimeMs > SNAPSHOT_RETENTION_MS) {
+                    fs.unlinkSync(filePath);
+                    pruned += 1;
+                }
+            });
+    });
+    if (pruned > 0) {
+        console.log(`Pruned ${pruned} snapshot and fixture files older than ${SNAPSHOT_RETENTION_MS / 86400000} days.`);
+    }
+};
+
+// Helper: Total holdings per account in raw units (NFT rows count as 1, SFT/ESDT rows carry a balance)
+const aggregateSnapshotHoldings = (snapshot) => {
+    const holdings = new Map();
+    snapshot.rows.forEach((row) => {
+        const account = row.owner || row.address;
+        if (!account) return;
+        const amount = row.balance !== undefined ? BigInt(row.balance) : BigInt(1);
+        holdings.set(account, (holdings.get(account) || BigInt(0)) + amount);
+    });
+    return holdings;
+};
+
+// Larger amounts first, ties broken by address so the output is stable
+const compareByAmountDesc = (getAmount) => (a, b) => {
+    const amountA = getAmount(a);
+    const amountB = getAmount(b);
+    if (amountA !== amountB) return amountA > amountB ? -1 : 1;
+    return a.address < b.address ? -1 : a.address > b.address ? 1 : 0;
+};
+
+// Helper: Holders that joined, departed or changed their holdings between two snapshots
+const diffSnapshots = (fromSnapshot, toSnapshot) => {
+    const before = aggregateSnapshotHoldings(fromSnapshot);
+    const after = aggregateSnapshotHoldings(toSnapshot);
+    const joined = [];
+    const departed = [];
+    const changed = [];
+    let unchangedCount = 0;
+
+    after.forEach((amount, address) => {
+        if (!before.has(address)) {
+            joined.push({ address, amount });
+        } else if (before.get(address) !== amount) {
+            changed.push({ address, before: before.get(address), after: amount, delta: amount - before.get(address) });
+        } else {
+            unchangedCount += 1;
+        }
+    });
+    before.forEach((amount, address) => {
+        if (!after.has(address)) {
+            departed.push({ address, amount });
+        }
+    });
+
+    const absolute = (value) => (value < BigInt(0) ? -value : value);
+    joined.sort(compareByAmountDesc(holder => holder.amount));
+    departed.sort(compareByAmountDesc(holder => holder.amount));
+    changed.sort(compareByAmountDesc(holder => absolute(holder.delta)));
+
+    return { joined, departed, changed, unchangedCount };
+};
+
+// Snapshot Retrieval Endpoint
+app.get('/snapshots/:id', checkToken, (req, res) => {
+    try {
+        const snapshot = loadSnapshot(req.params.id);
+        if (!snapshot || !isOwnedByApiKey(req, snapshot)) {
+            return res.status(404).json({ error: `Snapshot "${req.params.id}" not found.` });
+        }
+        res.json(snapshot);
+    } catch (error) {
+        console.error('Error fetching snapshot:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Snapshot Diff Endpoint: joined / departed / changed holders between two stored snapshots
+app.post('/snapshots/diff', checkToken, async (req, res) => {
+    try {
+        const { fromSnapshotId, toSnapshotId, format = 'json' } = req.body;
+
+        if (!fromSnapshotId || !toSnapshotId) {
+            return res.status(400).json({ error: 'Missing required parameters: fromSnapshotId, toSnapshotId' });
+        }
+        if (format !== 'json' && format !== 'csv') {
+            return res.status(400).json({ error: 'format must be "json" or "csv"' });
+        }
+
+        const fromSnapshot = loadSnapshot(fromSnapshotId);
+        const toSnapshot = loadSnapshot(toSnapshotId);
+        if (!fromSnapshot || !toSnapshot || !isOwnedByApiKey(req, fromSnapshot) || !isOwnedByApiKey(req, toSnapshot)) {
+            const missingId = !fromSnapshot || !isOwnedByApiKey(req, fromSnapshot) ? fromSnapshotId : toSnapshotId;
+            return res.status(404).json({ error: `Snapshot "${missingId}" not found.` });
+        }
+        if ((fromSnapshot.network || 'mainnet') !== (toSnapshot.network || 'mainnet')) {
+            return res.status(400).json({ error: 'Cannot diff snapshots taken on different networks.' });
+        }
+        if (fromSnapshot.type !== toSnapshot.type) {
+            return res.status(400).json({ error: `Cannot diff a ${fromSnapshot.type} snapshot against a ${toSnapshot.type} snapshot.` });
+        }
+
+        const { joined, departed, changed, unchangedCount } = diffSnapshots(fromSnapshot, toSnapshot);
+        const summary = {
+            fromSnapshotId,
+            toSnapshotId,
+            type: toSnapshot.type,
+            decimals: toSnapshot.params.decimals,
+            joinedCount: joined.length,
+            departedCount: departed.length,
+            changedCount: changed.length,
+            unchangedCount,
+        };
+
+        // Amounts are raw integers: NFT counts, SFT quantities or ESDT balances in the token's smallest unit
+        if (format === 'csv') {
+            const csvString = await generateCsvFromRows([
+                ...joined.map(({ address, amount }) => ({ address, change: 'joined', before: '0', after: amount.toString(), delta: amount.toString() })),
+                ...departed.map(({ address, amount }) => ({ address, change: 'departed', before: amount.toString(), after: '0', delta: (-amount).toString() })),
+                ...changed.map(({ address, before, after, delta }) => ({ address, change: 'changed', before: before.toString(), after: after.toString(), delta: delta.toString() })),
+            ]);
+            return res.json({ ...summary, csvString });
+        }
+
+        res.json({
+            ...summary,
+            joined: joined.map(({ address, amount }) => ({ address, amount: amount.toString() })),
+            departed: departed.map(({ address, amount }) => ({ address, amount: amount.toString() })),
+            changed: changed.map(({ address, before, after, delta }) => ({
+                address,
+                before: before.toString(),
+                after: after.toString(),
+                delta: delta.toString(),
+            })),
+        });
+    } catch (error) {
+        console.error('Error diffing snapshots:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+
 // ESDT Snapshot & Draw Endpoint
-app.post('/esdtSnapshotDraw', checkToken, handleUsageFee, async (req, res) => {
+registerSnapshotRoute('/esdtSnapshotDraw', async (req, res) => {
     try {
-        const { token, includeSmartContracts, numberOfWinners } = req.body;
+        const { token, includeSmartContracts, numberOfWinners, includeSnapshot, weighting, prizes, snapshotAt } = req.body;
 
-        if (!token || !numberOfWinners) {
-            return res.status(400).json({ error: 'Missing required parameters: token, numberOfWinners' });
+        if (!token || (!numberOfWinners && !prizes)) {
+            return res.status(400).json({ error: 'Missing required parameters: token, numberOfWinners (or prizes)' });
         }
 
         console.log(`Starting ESDT snapshot for token: ${token}`);
@@ -796,78 +3764,61 @@ app.post('/esdtSnapshotDraw', checkToken, handleUsageFee, async (req, res) => {
         // Step 1: Fetch Token Decimals
         const decimals = await fetchTokenDecimals(token);
 
-        // Step 2: Fetch Token Owners in Batches with API Throttling
-        const esdtOwners = await fetchEsdtOwners(token, includeSmartContracts);
+        // Step 2: Fetch Token Owners in Batches with API Throttling (as of snapshotAt when given)
+        const { rows: esdtOwners, unresolved } = await fetchEsdtOwnersSnapshot(token, includeSmartContracts, snapshotAt);
 
         if (esdtOwners.length === 0) {
             return res.status(404).json({ error: `No owners found for token: ${token}` });
         }
 
         console.log(`Fetched ${esdtOwners.length} ESDT owners`);
+        const snapshotId = saveSnapshot('ESDT', { token, decimals, includeSmartContracts, snapshotAt }, esdtOwners);
 
         // Step 3: Generate Unique Owner Stats
         const uniqueOwnerStats = generateUniqueOwnerStats(esdtOwners, "ESDT", decimals);
 
-        // Step 4: Select Random Winners
-        const shuffled = esdtOwners.sort(() => 0.5 - Math.random());
-        const winners = shuffled.slice(0, numberOfWinners).map(winner => ({
-            ...winner,
-            balance: (Number(winner.balance || 0) / 10 ** decimals).toFixed(decimals)
-        }));
+        // Step 4: Select Winners with the seeded, reproducible draw
+        // Weighted winners are wallets and already carry a formatted tokensCount
+        const { winners, prizes: prizeWinners, fairness } = await drawWinners(esdtOwners, numberOfWinners, {
+            ...pickDrawOptions(req), source: `ESDT:${token}`, assetType: "ESDT", decimals,
+            formatWinner: winner => weighting ? winner : {
+                ...winner,
+                rawBalance: winner.balance || '0',
+                balance: formatTokenAmount(winner.balance || 0, decimals)
+            },
+        });
 
         // Step 5: Generate CSV Output
         const csvString = await generateCsv(esdtOwners.map(owner => ({
             address: owner.address,
-            balance: (Number(owner.balance || 0) / 10 ** decimals).toFixed(decimals),
+            balance: formatTokenAmount(owner.balance || 0, decimals),
+            rawBalance: owner.balance || '0',
         })));
 
         res.json({
             token,
             decimals,
             totalOwners: esdtOwners.length,
+            snapshotId,
+            snapshotAt,
+            unresolved: snapshotAt !== undefined ? unresolved : undefined,
             uniqueOwnerStats,
             winners,
+            prizes: prizeWinners,
+            fairness,
+            snapshot: includeSnapshot ? esdtOwners.map(toDrawSnapshotEntry) : undefined,
             csvString,
-            message: `${numberOfWinners} winners have been selected from token "${token}".`,
+            message: `${winners.length} winners have been selected from token "${token}".`,
             usageFeeHash: req.usageFeeHash,
         });
 
     } catch (error) {
         console.error('Error during ESDT Snapshot & Draw:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
 
-// Helper: fetchWithRetry wraps fetch with retries on failure (e.g. rate limit errors).
-async function fetchWithRetry(url, options = {}, retries = 15, backoff = 2000) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await fetch(url, options);
-      if (response.status === 429) {
-        const retryAfter = response.headers.get('Retry-After');
-        const delay = retryAfter ? Number(retryAfter) * 1000 : backoff;
-        console.log(`Rate limit hit for ${url}. Retrying in ${delay}ms... (attempt ${i + 1})`);
-        await new Promise(res => setTimeout(res, delay));
-        backoff *= 2;
-        continue;
-      }
-      if (!response.ok) {
-        console.error(`Non-OK response (${response.status}) for ${url}. Retrying in ${backoff}ms... (attempt ${i + 1})`);
-        await new Promise(res => setTimeout(res, backoff));
-        backoff *= 2;
-        continue;
-      }
-      return response;
-    } catch (error) {
-      console.error(`Error fetching ${url}: ${error.message}. Retrying in ${backoff}ms... (attempt ${i + 1})`);
-      await new Promise(res => setTimeout(res, backoff));
-      backoff *= 2;
-    }
-  }
-  throw new Error(`Failed to fetch ${url} after ${retries} retries`);
-}
-
 // Helper: Async Pool - limits concurrency of async tasks.
 async function asyncPool(poolLimit, array, iteratorFn) {
   const ret = [];
@@ -895,12 +3846,12 @@ const fetchAllTransactions = async (baseUrl) => {
   do {
     // Append &from= to the URL
     const url = `${baseUrl}&from=${from}`;
-    const response = await fetchWithRetry(url);
-    const result = await response.json();
+    const result = await apiFetchJson(url);
     // Assuming the API returns an array directly (or under .data)
     const transactions = result.data || result;
     console.log(`Fetched ${transactions.length} transactions from ${url}`);
     allTransactions.push(...transactions);
+    reportJobProgress({ stage: 'fetchAllTransactions', fetched: allTransactions.length });
     currentBatchSize = transactions.length;
     from += batchSize;
   } while (currentBatchSize === batchSize);
@@ -915,12 +3866,12 @@ const fetchScNfts = async (contractAddress, collectionTicker) => {
   const batchSize = 500;
   let currentBatchSize = batchSize;
   do {
-    const url = `https://api.multiversx.com/accounts/${contractAddress}/nfts?size=${batchSize}&collections=${collectionTicker}&from=${from}`;
-    const response = await fetchWithRetry(url);
-    const result = await response.json();
+    const url = `${getApiUrl()}/accounts/${contractAddress}/nfts?size=${batchSize}&collections=${collectionTicker}&from=${from}`;
+    const result = await apiFetchJson(url);
     const nfts = result.data || result;
     console.log(`Fetched ${nfts.length} NFTs from ${url}`);
     allNfts.push(...nfts);
+    reportJobProgress({ stage: 'fetchScNfts', fetched: allNfts.length });
     currentBatchSize = nfts.length;
     from += batchSize;
   } while (currentBatchSize === batchSize);
@@ -928,32 +3879,202 @@ const fetchScNfts = async (contractAddress, collectionTicker) => {
   return allNfts;
 };
 
-// Updated helper function to fetch staked NFTs using staking events,
-// then validate them in bulk using the smart contract's NFT inventory.
-const fetchStakedNfts = async (collectionTicker, contractLabel) => {
-  const contractAddresses = {
-    oneDexStakedNfts: "erd1qqqqqqqqqqqqqpgqrq6gv0ljf4y9md42pe4m6mh96hcpqnpuusls97tf33",
-    xoxnoStakedNfts: "erd1qqqqqqqqqqqqqpgqvpkd3g3uwludduv3797j54qt6c888wa59w2shntt6z",
-    artCpaStakedNfts: "erd1qqqqqqqqqqqqqpgqfken0exk7jpr85dx6f8ym3jgcagesfcqkqys0xnquf",
-    hodlFounderNfts: "erd1qqqqqqqqqqqqqpgqpvlxt3n9ks66kuq4j8cvcv25k8a5rsx99g6suw5r66",
+// ------------------ Staking Contract Registry ------------------
+
+const STAKING_ASSET_TYPES = ['NFT', 'ESDT'];
+const stakingContractsFilePath = path.join(DATA_DIR, 'stakingContracts.json');
+
+// Registry seeded on first start; the *_STAKE_* variables from render.yaml override the built-in values
+const DEFAULT_STAKING_CONTRACTS = [
+  {
+    label: 'oneDexStakedNfts',
+    address: process.env.ONEDEX_STAKE_ADDRESS || "erd1qqqqqqqqqqqqqpgqrq6gv0ljf4y9md42pe4m6mh96hcpqnpuusls97tf33",
+    stakeFunctions: [process.env.ONEDEX_STAKE_FUNCTION || "userStake"],
+  },
+  {
+    label: 'xoxnoStakedNfts',
+    address: process.env.XOXNO_STAKE_ADDRESS || "erd1qqqqqqqqqqqqqpgqvpkd3g3uwludduv3797j54qt6c888wa59w2shntt6z",
+    stakeFunctions: [process.env.XOXNO_STAKE_FUNCTION || "stake"],
+  },
+  {
+    label: 'artCpaStakedNfts',
+    address: process.env.ARTCPA_STAKE_ADDRESS || "erd1qqqqqqqqqqqqqpgqfken0exk7jpr85dx6f8ym3jgcagesfcqkqys0xnquf",
+    stakeFunctions: [process.env.ARTCPA_STAKE_FUNCTION || "userStake"],
+  },
+  {
+    label: 'hodlFounderNfts',
+    address: "erd1qqqqqqqqqqqqqpgqpvlxt3n9ks66kuq4j8cvcv25k8a5rsx99g6suw5r66",
+    stakeFunctions: ["stake"],
+  },
+].map(contract => ({ ...contract, unstakeFunctions: [], assetType: 'NFT', collections: [] }));
+
+// Used for ESDT staking contracts that are not registered (the behaviour before the registry existed)
+const DEFAULT_ESDT_STAKE_FUNCTIONS = ['stake', 'userStake'];
+const DEFAULT_ESDT_UNSTAKE_FUNCTIONS = ['ESDTTransfer'];
+
+// Load the staking contract registry (object keyed by label), seeding it on first use
+const loadStakingContracts = () => {
+  if (!fs.existsSync(stakingContractsFilePath)) {
+    saveJsonFile(stakingContractsFilePath, Object.fromEntries(DEFAULT_STAKING_CONTRACTS.map(contract => [contract.label, contract])));
+  }
+  return loadJsonFile(stakingContractsFilePath, {});
+};
+
+// Helper: Validate and normalise a registry entry; function names may be given as a string or a list
+const normalizeStakingContract = (label, input) => {
+  const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+  const contract = {
+    label,
+    address: input.address,
+    stakeFunctions: toList(input.stakeFunction !== undefined ? input.stakeFunction : input.stakeFunctions),
+    unstakeFunctions: toList(input.unstakeFunction !== undefined ? input.unstakeFunction : input.unstakeFunctions),
+    assetType: input.assetType,
+    collections: toList(input.collections),
+  };
+
+  if (!/^[A-Za-z0-9_-]+$/.test(label || '')) {
+    throw createHttpError(400, 'label may only contain letters, digits, "_" and "-"');
+  }
+  try {
+    new Address(contract.address);
+  } catch (error) {
+    throw createHttpError(400, `Invalid contract address "${contract.address}"`);
+  }
+  if (contract.stakeFunctions.length === 0 || [...contract.stakeFunctions, ...contract.unstakeFunctions].some(name => typeof name !== 'string' || !name)) {
+    throw createHttpError(400, 'stakeFunction(s) must name at least one function, and unstake functions must be strings');
+  }
+  if (!STAKING_ASSET_TYPES.includes(contract.assetType)) {
+    throw createHttpError(400, `assetType must be one of: ${STAKING_ASSET_TYPES.join(', ')}`);
+  }
+  return contract;
+};
+
+// Helper: Find the registry entry a staked-asset route refers to, by label or by contract address
+const resolveStakingContract = ({ contractLabel, address, assetType, tokenOrCollection }) => {
+  const contracts = Object.values(loadStakingContracts());
+  const contract = contractLabel
+    ? contracts.find(entry => entry.label === contractLabel)
+    : contracts.find(entry => entry.address === address && entry.assetType === assetType);
+
+  if (!contract) {
+    if (contractLabel) {
+      throw createHttpError(404, `Unknown staking contract label "${contractLabel}"`);
+    }
+    return null;
+  }
+  if (contract.assetType !== assetType) {
+    throw createHttpError(400, `Staking contract "${contract.label}" holds ${contract.assetType}s, not ${assetType}s`);
+  }
+  if (contract.collections.length > 0 && !contract.collections.includes(tokenOrCollection)) {
+    throw createHttpError(400, `Staking contract "${contract.label}" does not support ${tokenOrCollection}`);
+  }
+  return contract;
+};
+
+// Helper: Resolve an ESDT staking contract; unregistered addresses keep the default stake/unstake functions
+const resolveEsdtStakingContract = ({ contractLabel, stakingContractAddress, token }) => {
+  return resolveStakingContract({
+    contractLabel,
+    address: stakingContractAddress,
+    assetType: 'ESDT',
+    tokenOrCollection: token,
+  }) || {
+    address: stakingContractAddress,
+    stakeFunctions: DEFAULT_ESDT_STAKE_FUNCTIONS,
+    unstakeFunctions: DEFAULT_ESDT_UNSTAKE_FUNCTIONS,
   };
+};
 
-  const stakingFunctions = {
-    oneDexStakedNfts: "userStake",
-    xoxnoStakedNfts: "stake",
-    artCpaStakedNfts: "userStake",
-    hodlFounderNfts: "stake",
-  };
+// List Staking Contracts Endpoint
+app.get('/stakingContracts', checkToken, (req, res) => {
+  try {
+    res.json({ stakingContracts: Object.values(loadStakingContracts()) });
+  } catch (error) {
+    console.error('Error listing staking contracts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get Staking Contract Endpoint
+app.get('/stakingContracts/:label', checkToken, (req, res) => {
+  try {
+    const contract = loadStakingContracts()[req.params.label];
+    if (!contract) {
+      return res.status(404).json({ error: `Unknown staking contract label "${req.params.label}"` });
+    }
+    res.json(contract);
+  } catch (error) {
+    console.error('Error fetching staking contract:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Register Staking Contract Endpoint
+app.post('/stakingContracts', checkToken, (req, res) => {
+  try {
+    const contracts = loadStakingContracts();
+    const contract = normalizeStakingContract(req.body.label, req.body);
+    if (contracts[contract.label]) {
+      return res.status(409).json({ error: `Staking contract "${contract.label}" already exists` });
+    }
+
+    contracts[contract.label] = contract;
+    saveJsonFile(stakingContractsFilePath, contracts);
+    res.status(201).json({ ...contract, message: `Staking contract "${contract.label}" registered.` });
+  } catch (error) {
+    console.error('Error registering staking contract:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Update Staking Contract Endpoint (fields not provided keep their current value)
+app.put('/stakingContracts/:label', checkToken, (req, res) => {
+  try {
+    const contracts = loadStakingContracts();
+    const existing = contracts[req.params.label];
+    if (!existing) {
+      return res.status(404).json({ error: `Unknown staking contract label "${req.params.label}"` });
+    }
+
+    const { label, ...changes } = req.body;
+    const contract = normalizeStakingContract(existing.label, { ...existing, ...changes });
+    contracts[contract.label] = contract;
+    saveJsonFile(stakingContractsFilePath, contracts);
+    res.json({ ...contract, message: `Staking contract "${contract.label}" updated.` });
+  } catch (error) {
+    console.error('Error updating staking contract:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Remove Staking Contract Endpoint
+app.delete('/stakingContracts/:label', checkToken, (req, res) => {
+  try {
+    const contracts = loadStakingContracts();
+    if (!contracts[req.params.label]) {
+      return res.status(404).json({ error: `Unknown staking contract label "${req.params.label}"` });
+    }
 
-  const contractAddress = contractAddresses[contractLabel];
-  const stakeFunction = stakingFunctions[contractLabel];
+    delete contracts[req.params.label];
+    saveJsonFile(stakingContractsFilePath, contracts);
+    res.json({ message: `Staking contract "${req.params.label}" removed.` });
+  } catch (error) {
+    console.error('Error removing staking contract:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  if (!contractAddress || !stakeFunction) {
-    throw new Error("Unsupported contract label or staking function");
+// Updated helper function to fetch staked NFTs using staking events,
+// then validate them in bulk using the smart contract's NFT inventory.
+const fetchStakedNfts = async (collectionTicker, contractLabel) => {
+  if (!contractLabel) {
+    throw createHttpError(400, 'contractLabel is required');
   }
+  const contract = resolveStakingContract({ contractLabel, assetType: 'NFT', tokenOrCollection: collectionTicker });
+  const contractAddress = contract.address;
 
   try {
-    const baseUrl = `https://api.multiversx.com/accounts/${contractAddress}/transfers?size=1000&token=${collectionTicker}`;
+    const baseUrl = `${getApiUrl()}/accounts/${contractAddress}/transfers?size=1000&token=${collectionTicker}`;
     const allTransactions = await fetchAllTransactions(baseUrl);
     const successfulTxs = allTransactions
       .filter(tx => tx.status === "success")
@@ -966,7 +4087,7 @@ const fetchStakedNfts = async (collectionTicker, contractLabel) => {
         transfer => transfer.collection === collectionTicker
       );
       transfers.forEach(item => {
-        if (tx.function === stakeFunction) {
+        if (contract.stakeFunctions.includes(tx.function)) {
           rawStakedEvents.push({
             txHash: tx.hash || tx.nonce,
             timestamp: tx.timestamp,
@@ -1008,42 +4129,94 @@ const fetchStakedNfts = async (collectionTicker, contractLabel) => {
   }
 };
 
+// Helper: NFT owner rows where NFTs sitting in registered staking/escrow contracts are attributed back
+// to the wallet that deposited them. `location` is "wallet" or the label of the contract holding the NFT.
+const fetchEffectiveNftOwners = async (collectionTicker, includeSmartContracts) => {
+  const rows = await fetchNftOwnersInBatches(collectionTicker, true);
+  const contractsByAddress = new Map(
+    Object.values(loadStakingContracts())
+      .filter(contract => contract.assetType === 'NFT' &&
+        (contract.collections.length === 0 || contract.collections.includes(collectionTicker)))
+      .map(contract => [contract.address, contract])
+  );
+
+  // Only replay staking events for contracts that actually hold NFTs of this collection
+  const depositorsByContract = new Map();
+  for (const address of new Set(rows.map(row => row.owner).filter(owner => contractsByAddress.has(owner)))) {
+    const contract = contractsByAddress.get(address);
+    const stakedNfts = await fetchStakedNfts(collectionTicker, contract.label);
+    depositorsByContract.set(address, new Map(stakedNfts.map(nft => [nft.identifier, nft.owner])));
+  }
+
+  const effectiveRows = rows.map(row => {
+    const contract = contractsByAddress.get(row.owner);
+    if (!contract) {
+      return { ...row, location: 'wallet' };
+    }
+    // NFTs without a matching staking event stay attributed to the contract itself
+    const depositor = depositorsByContract.get(row.owner).get(row.identifier);
+    return { ...row, owner: depositor || row.owner, location: contract.label };
+  });
+
+  return includeSmartContracts
+    ? effectiveRows
+    : effectiveRows.filter(row => typeof row.owner === 'string' && !isSmartContractAddress(row.owner));
+};
+
 // ------------------ Endpoint ------------------
 
 // Route for staked NFTs snapshot draw
-app.post('/stakedNftsSnapshotDraw', checkToken, handleUsageFee, async (req, res) => {
+registerSnapshotRoute('/stakedNftsSnapshotDraw', async (req, res) => {
   try {
-    const { collectionTicker, contractLabel, numberOfWinners } = req.body;
-    const stakedData = await fetchStakedNfts(collectionTicker, contractLabel);
-    if (stakedData.length === 0) {
+    const { collectionTicker, contractLabel, numberOfWinners, includeSnapshot, weighting, prizes } = req.body;
+
+    if (!collectionTicker || !contractLabel || (!numberOfWinners && !prizes)) {
+      return res.status(400).json({
+        error: 'Missing required parameters: collectionTicker, contractLabel, numberOfWinners (or prizes)'
+      });
+    }
+
+    const stakedNfts = await fetchStakedNfts(collectionTicker, contractLabel);
+    if (stakedNfts.length === 0) {
       return res.status(404).json({ error: 'No staked NFTs found for this collection' });
     }
+    const snapshotId = saveSnapshot('stakedNFT', { collectionTicker, contractLabel }, stakedNfts);
+
+    // Rarity-weighted draws rank the staked NFTs within the whole collection
+    const stakedData = weighting === 'rarityTier' ? await attachNftRarity(collectionTicker, stakedNfts) : stakedNfts;
     const totalStakedCount = stakedData.length;
 
     // Generate unique owner statistics (each NFT counts as 1)
     const uniqueOwnerStats = generateUniqueOwnerStats(stakedData, "NFT");
 
-    // Randomly shuffle the staked NFTs and pick winners
-    const shuffled = stakedData.sort(() => 0.5 - Math.random());
-    const winners = shuffled.slice(0, numberOfWinners);
+    // Pick winners among the staked NFTs with the seeded, reproducible draw
+    const { winners, prizes: prizeWinners, fairness } = await drawWinners(stakedData, numberOfWinners, {
+      ...pickDrawOptions(req), source: `stakedNFT:${collectionTicker}:${contractLabel}`, assetType: "NFT",
+    });
     const csvString = await generateCsv(stakedData);
 
     res.json({
       winners,
+      prizes: prizeWinners,
+      fairness,
+      snapshot: includeSnapshot ? stakedData.map(toDrawSnapshotEntry) : undefined,
       totalStakedCount,
+      snapshotId,
       uniqueOwnerStats,
       csvString,
-      message: `${numberOfWinners} winners have been selected from staked NFTs in collection ${collectionTicker}.`,
+      message: `${winners.length} winners have been selected from staked NFTs in collection ${collectionTicker}.`,
       usageFeeHash: req.usageFeeHash,
     });
   } catch (error) {
     console.error('Error during stakedNftsSnapshotDraw:', error);
-    res.status(500).json({ error: `Failed to fetch staked NFTs: ${error.message}` });
+    res.status(error.statusCode || 500).json({ error: `Failed to fetch staked NFTs: ${error.message}` });
   }
 });
 
 // Helper function to fetch staked ESDT tokens by tracking staking and unstaking events
-const fetchStakedEsdts = async (token, stakingContractAddress) => {
+// (`contract` is a registry entry: address plus stake and unstake function names)
+const fetchStakedEsdts = async (token, contract) => {
+  const stakingContractAddress = contract?.address;
   if (!stakingContractAddress) {
     throw new Error("Staking smart contract address is required");
   }
@@ -1052,7 +4225,7 @@ const fetchStakedEsdts = async (token, stakingContractAddress) => {
     console.log(`Fetching staked ESDT tokens for ${token} from contract ${stakingContractAddress}`);
     
     // Fetch all token transfers involving the staking contract
-    const baseUrl = `https://api.multiversx.com/accounts/${stakingContractAddress}/transfers?size=1000&token=${token}`;
+    const baseUrl = `${getApiUrl()}/accounts/${stakingContractAddress}/transfers?size=1000&token=${token}`;
     console.log(`Fetching transactions from ${baseUrl}`);
     const allTransactions = await fetchAllTransactions(baseUrl);
     
@@ -1081,8 +4254,8 @@ const fetchStakedEsdts = async (token, stakingContractAddress) => {
       const amount = BigInt(relevantTransfer.value || '0');
       if (amount === BigInt(0)) return;
       
-      // CASE 1: Staking event (User → SC, function is stake/userStake)
-      if ((tx.function === 'stake' || tx.function === 'userStake') && 
+      // CASE 1: Staking event (User → SC, function is one of the contract's stake functions)
+      if (contract.stakeFunctions.includes(tx.function) && 
           tx.receiver === stakingContractAddress) {
         
         const user = tx.sender;
@@ -1094,8 +4267,8 @@ const fetchStakedEsdts = async (token, stakingContractAddress) => {
         console.log(`[STAKING] User ${user} staked ${amount.toString()} tokens at ${new Date(tx.timestamp * 1000).toISOString()}`);
       }
       
-      // CASE 2: Unstaking event (SC → User, function is ESDTTransfer)
-      else if (tx.function === 'ESDTTransfer' && 
+      // CASE 2: Unstaking event (SC → User, function is one of the contract's unstake functions, e.g. ESDTTransfer)
+      else if (contract.unstakeFunctions.includes(tx.function) && 
                tx.sender === stakingContractAddress) {
         
         const user = tx.receiver;
@@ -1151,7 +4324,7 @@ const fetchStakedEsdts = async (token, stakingContractAddress) => {
 // Helper to fetch a contract's token balance
 const fetchContractTokenBalance = async (contractAddress, token) => {
   try {
-    const response = await fetch(`https://api.multiversx.com/accounts/${contractAddress}/tokens/${token}`);
+    const response = await apiFetch(`${getApiUrl()}/accounts/${contractAddress}/tokens/${token}`);
     
     // If token not found in the account, return 0
     if (response.status === 404) {
@@ -1171,22 +4344,25 @@ const fetchContractTokenBalance = async (contractAddress, token) => {
 };
 
 // Route for staked ESDT tokens snapshot draw
-app.post('/stakedEsdtsSnapshotDraw', checkToken, handleUsageFee, async (req, res) => {
+registerSnapshotRoute('/stakedEsdtsSnapshotDraw', async (req, res) => {
   try {
-    const { token, stakingContractAddress, numberOfWinners } = req.body;
+    const { token, contractLabel, numberOfWinners, includeSnapshot, weighting, prizes } = req.body;
     
-    if (!token || !stakingContractAddress || !numberOfWinners) {
+    if (!token || (!req.body.stakingContractAddress && !contractLabel) || (!numberOfWinners && !prizes)) {
       return res.status(400).json({ 
-        error: 'Missing required parameters: token, stakingContractAddress, numberOfWinners' 
+        error: 'Missing required parameters: token, stakingContractAddress (or contractLabel), numberOfWinners (or prizes)' 
       });
     }
+
+    const contract = resolveEsdtStakingContract({ contractLabel, stakingContractAddress: req.body.stakingContractAddress, token });
+    const stakingContractAddress = contract.address;
     
     // Step 1: Fetch Token Decimals
     const decimals = await fetchTokenDecimals(token);
     console.log(`Token ${token} has ${decimals} decimals`);
     
     // Step 2: Fetch staked data
-    const stakedData = await fetchStakedEsdts(token, stakingContractAddress);
+    const stakedData = await fetchStakedEsdts(token, contract);
     
     if (stakedData.length === 0) {
       return res.status(404).json({ error: 'No staked tokens found for this token and contract' });
@@ -1194,41 +4370,705 @@ app.post('/stakedEsdtsSnapshotDraw', checkToken, handleUsageFee, async (req, res
     
     const totalStakedCount = stakedData.length;
     console.log(`Found ${totalStakedCount} stakers`);
+    const snapshotId = saveSnapshot('stakedESDT', { token, decimals, stakingContractAddress, contractLabel: contract.label }, stakedData);
 
     // Step 3: Generate unique owner statistics with proper decimal conversion
     const uniqueOwnerStats = generateUniqueOwnerStats(stakedData, "ESDT", decimals);
 
-    // Step 4: Randomly shuffle the stakers and pick winners
-    const shuffled = stakedData.sort(() => 0.5 - Math.random());
-    // Apply proper decimal formatting to winners
-    const winners = shuffled.slice(0, numberOfWinners).map(winner => ({
-      ...winner,
-      balance: (Number(winner.balance || 0) / 10 ** decimals).toFixed(decimals)
-    }));
+    // Step 4: Pick winners among the stakers with the seeded, reproducible draw
+    // Apply proper decimal formatting to winners (weighted winners are wallets with a formatted tokensCount)
+    const { winners, prizes: prizeWinners, fairness } = await drawWinners(stakedData, numberOfWinners, {
+      ...pickDrawOptions(req), source: `stakedESDT:${token}:${stakingContractAddress}`, assetType: "ESDT", decimals,
+      formatWinner: winner => weighting ? winner : {
+        ...winner,
+        rawBalance: winner.balance || '0',
+        balance: formatTokenAmount(winner.balance || 0, decimals)
+      },
+    });
     
     // Step 5: Generate CSV with properly formatted balances 
     const csvString = await generateCsv(stakedData.map(staker => ({
       address: staker.address,
-      balance: (Number(staker.balance || 0) / 10 ** decimals).toFixed(decimals)
+      balance: formatTokenAmount(staker.balance || 0, decimals),
+      rawBalance: staker.balance || '0'
     })));
 
     res.json({
       token,
       stakingContractAddress,
+      contractLabel: contract.label,
       totalStakers: stakedData.length,
+      snapshotId,
       uniqueOwnerStats,
       winners,
+      prizes: prizeWinners,
+      fairness,
+      snapshot: includeSnapshot ? stakedData.map(toDrawSnapshotEntry) : undefined,
       csvString,
-      message: `${numberOfWinners} winners have been selected from stakers of ${token}.`,
+      message: `${winners.length} winners have been selected from stakers of ${token}.`,
       usageFeeHash: req.usageFeeHash,
     });
   } catch (error) {
     console.error('Error during stakedEsdtsSnapshotDraw:', error);
-    res.status(500).json({ error: `Failed to fetch staked ESDT tokens: ${error.message}` });
+    res.status(error.statusCode || 500).json({ error: `Failed to fetch staked ESDT tokens: ${error.message}` });
   }
 });
 
+// ------------------ Eligibility Rules ------------------
+
+const RULE_LEAF_TYPES = ['nft', 'sft', 'esdt'];
+const RULE_HOLDINGS = ['held', 'staked', 'heldOrStaked'];
+const MAX_RULE_LEAVES = 20; // Each leaf can trigger a full snapshot, so keep trees small
+
+// Helper: Validate a rule tree and give every node an id (its own `id`, or its path in the tree)
+const prepareRuleTree = (node, nodePath = 'rules', seen = { ids: new Set(), leaves: 0 }) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+        throw createHttpError(400, `Rule "${nodePath}" must be an object`);
+    }
+    const id = node.id || nodePath;
+    if (seen.ids.has(id)) {
+        throw createHttpError(400, `Duplicate rule id "${id}"`);
+    }
+    seen.ids.add(id);
+
+    if (node.and !== undefined || node.or !== undefined) {
+        const operator = node.and !== undefined ? 'and' : 'or';
+        if (!Array.isArray(node[operator]) || node[operator].length === 0) {
+            throw createHttpError(400, `Rule "${id}": "${operator}" needs a non-empty array of rules`);
+        }
+        return {
+            id,
+            operator,
+            children: node[operator].map((child, index) => prepareRuleTree(child, `${nodePath}.${operator}[${index}]`, seen)),
+        };
+    }
+    if (node.not !== undefined) {
+        return { id, operator: 'not', children: [prepareRuleTree(node.not, `${nodePath}.not`, seen)] };
+    }
+
+    if (!RULE_LEAF_TYPES.includes(node.type)) {
+        throw createHttpError(400, `Rule "${id}": type must be one of ${RULE_LEAF_TYPES.join(', ')} (or use and / or / not)`);
+    }
+    seen.leaves += 1;
+    if (seen.leaves > MAX_RULE_LEAVES) {
+        throw createHttpError(400, `A rule tree may contain at most ${MAX_RULE_LEAVES} conditions`);
+    }
+
+    const holding = node.holding || 'held';
+    if (!RULE_HOLDINGS.includes(holding)) {
+        throw createHttpError(400, `Rule "${id}": holding must be one of ${RULE_HOLDINGS.join(', ')}`);
+    }
+    if (node.type === 'sft' && holding !== 'held') {
+        throw createHttpError(400, `Rule "${id}": staked SFTs are not supported`);
+    }
+    if ((node.type === 'nft' || node.type === 'sft') && !node.collectionTicker) {
+        throw createHttpError(400, `Rule "${id}": collectionTicker is required`);
+    }
+    if (node.type === 'sft' && !node.editions) {
+        throw createHttpError(400, `Rule "${id}": editions are required`);
+    }
+    if (node.type === 'esdt' && !node.token) {
+        throw createHttpError(400, `Rule "${id}": token is required`);
+    }
+    if (node.type === 'esdt' && holding !== 'held' && !node.contractLabel && !node.stakingContractAddress) {
+        throw createHttpError(400, `Rule "${id}": staked ESDT conditions need a contractLabel or stakingContractAddress`);
+    }
+    ['min', 'max'].forEach(bound => {
+        if (node[bound] !== undefined && !new BigNumber(node[bound]).isFinite()) {
+            throw createHttpError(400, `Rule "${id}": ${bound} must be a number`);
+        }
+    });
+
+    const traitFilter = node.type === 'nft' ? buildTraitFilter(node) : null;
+
+    return { ...node, id, operator: 'leaf', holding, traitFilter };
+};
+
+// Helper: All rule leaves of a prepared tree, in tree order
+const collectRuleLeaves = (node) => (node.operator === 'leaf' ? [node] : node.children.flatMap(collectRuleLeaves));
+
+// Helper: Amount each wallet holds for one rule leaf (NFT count, SFT quantity or ESDT whole tokens).
+// `cache` shares fetched snapshots between leaves that look at the same collection or token.
+const fetchRuleHoldings = async (leaf, includeSmartContracts, cache) => {
+    const cached = (key, loader) => {
+        if (!cache.has(key)) cache.set(key, loader());
+        return cache.get(key);
+    };
+    const amounts = new Map();
+    const add = (address, amount) => {
+        if (address) amounts.set(address, (amounts.get(address) || new BigNumber(0)).plus(amount));
+    };
+
+    if (leaf.type === 'nft') {
+        const rows = await cached(`nft:${leaf.collectionTicker}`, () => fetchEffectiveNftOwners(leaf.collectionTicker, includeSmartContracts));
+        rows
+            .filter(row => leaf.holding === 'heldOrStaked' || (leaf.holding === 'held') === (row.location === 'wallet'))
+            .filter(row => matchesTraitFilter(row, leaf.traitFilter))
+            .forEach(row => add(row.owner, 1));
+    } else if (leaf.type === 'sft') {
+        const editions = Array.isArray(leaf.editions) ? leaf.editions : String(leaf.editions).split(',').map(e => e.trim());
+        const rows = await cached(`sft:${leaf.collectionTicker}:${editions.join(',')}`, () => fetchSftOwners(leaf.collectionTicker, editions, includeSmartContracts));
+        rows.forEach(row => add(row.address, row.balance || 0));
+    } else {
+        const decimals = await cached(`decimals:${leaf.token}`, () => fetchTokenDecimals(leaf.token));
+        if (leaf.holding !== 'staked') {
+            const rows = await cached(`esdt:${leaf.token}`, () => fetchEsdtOwners(leaf.token, includeSmartContracts));
+            rows.forEach(row => add(row.address, new BigNumber(row.balance || 0).shiftedBy(-decimals)));
+        }
+        if (leaf.holding !== 'held') {
+            const contract = resolveEsdtStakingContract({
+                contractLabel: leaf.contractLabel,
+                stakingContractAddress: leaf.stakingContractAddress,
+                token: leaf.token,
+            });
+            const rows = await cached(`stakedEsdt:${leaf.token}:${contract.address}`, () => fetchStakedEsdts(leaf.token, contract));
+            rows.forEach(row => add(row.address, new BigNumber(row.balance || 0).shiftedBy(-decimals)));
+        }
+    }
+
+    return amounts;
+};
+
+// Helper: Evaluate the whole tree for one wallet, collecting the id of every node it passes.
+// Children are always all evaluated so the report is complete, not short-circuited.
+const evaluateRuleTree = (node, address, holdingsByLeaf, passedRules) => {
+    let passed;
+    if (node.operator === 'leaf') {
+        const amount = holdingsByLeaf.get(node.id).get(address) || new BigNumber(0);
+        // Without bounds a condition means "holds any"; with only a max, holding none is fine
+        const meetsMin = node.min !== undefined ? amount.gte(node.min) : node.max !== undefined || amount.gt(0);
+        passed = meetsMin && (node.max === undefined || amount.lte(node.max));
+    } else {
+        const results = node.children.map(child => evaluateRuleTree(child, address, holdingsByLeaf, passedRules));
+        if (node.operator === 'and') passed = results.every(Boolean);
+        else if (node.operator === 'or') passed = results.some(Boolean);
+        else passed = !results[0];
+    }
+
+    if (passed) passedRules.push(node.id);
+    return passed;
+};
+
+// Rules Snapshot & Draw Endpoint: draw among the wallets that satisfy a rule tree over several snapshots
+registerSnapshotRoute('/rulesSnapshotDraw', async (req, res) => {
+    try {
+        const { rules, numberOfWinners, includeSmartContracts, prizes, includeSnapshot } = req.body;
+
+        if (!rules || (!numberOfWinners && !prizes)) {
+            return res.status(400).json({ error: 'Missing required parameters: rules, numberOfWinners (or prizes)' });
+        }
+        const ruleTree = prepareRuleTree(rules);
+        const leaves = collectRuleLeaves(ruleTree);
+
+        // Fetch one leaf at a time to stay within the API rate limits
+        const cache = new Map();
+        const holdingsByLeaf = new Map();
+        for (const leaf of leaves) {
+            holdingsByLeaf.set(leaf.id, await fetchRuleHoldings(leaf, includeSmartContracts, cache));
+        }
+
+        const allAddresses = [...new Set([...holdingsByLeaf.values()].flatMap(amounts => [...amounts.keys()]))].sort();
+        const wallets = allAddresses.map(address => {
+            const passedRules = [];
+            const eligible = evaluateRuleTree(ruleTree, address, holdingsByLeaf, passedRules);
+            return { address, eligible, passedRules };
+        });
+
+        const eligibleEntries = wallets.filter(wallet => wallet.eligible).map(wallet => ({ address: wallet.address }));
+        if (eligibleEntries.length === 0) {
+            return res.status(404).json({ error: 'No wallets satisfy the rules.', wallets });
+        }
+        const snapshotId = saveSnapshot('rules', { rules, includeSmartContracts }, eligibleEntries);
+
+        const { winners, prizes: prizeWinners, fairness } = await drawWinners(eligibleEntries, numberOfWinners, {
+            ...pickDrawOptions(req), source: `rules:${sha256Hex(JSON.stringify(rules))}`, assetType: "NFT",
+        });
+
+        res.json({
+            winners,
+            prizes: prizeWinners,
+            fairness,
+            snapshot: includeSnapshot ? eligibleEntries.map(toDrawSnapshotEntry) : undefined,
+            snapshotId,
+            totalWallets: wallets.length,
+            eligibleCount: eligibleEntries.length,
+            wallets,
+            message: `${winners.length} winners have been selected from ${eligibleEntries.length} eligible wallets.`,
+            usageFeeHash: req.usageFeeHash,
+        });
+    } catch (error) {
+        console.error('Error during Rules Snapshot & Draw:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// ------------------ Pro-Rata Reward Split ------------------
+
+// How each snapshot type counts holdings in generateUniqueOwnerStats (rules snapshots list one row per eligible wallet)
+const SNAPSHOT_ASSET_TYPES = { NFT: 'NFT', stakedNFT: 'NFT', rules: 'NFT', SFT: 'SFT', ESDT: 'ESDT', stakedESDT: 'ESDT' };
+
+// Helper: Take and store a fresh snapshot from a source description. `source.type` is NFT, SFT, ESDT,
+// stakedNFT or stakedESDT, with the same fields the matching *SnapshotDraw route accepts.
+const takeSnapshotFromSource = async (source = {}) => {
+    const { type, collectionTicker, editions, token, includeSmartContracts, snapshotAt, effectiveHolders, contractLabel, stakingContractAddress } = source;
+    let params;
+    let rows;
+
+    if ((type === 'NFT' || type === 'SFT' || type === 'stakedNFT') && !collectionTicker) {
+        throw createHttpError(400, `source.collectionTicker is required for ${type} sources`);
+    }
+    if ((type === 'ESDT' || type === 'stakedESDT') && !token) {
+        throw createHttpError(400, `source.token is required for ${type} sources`);
+    }
+
+    if (type === 'NFT') {
+        ({ rows } = await fetchNftOwnersSnapshot(collectionTicker, includeSmartContracts, { snapshotAt, effectiveHolders }));
+        params = { collectionTicker, includeSmartContracts, snapshotAt, effectiveHolders };
+    } else if (type === 'SFT') {
+        if (!editions) {
+            throw createHttpError(400, 'source.editions are required for SFT sources');
+        }
+        const editionArray = Array.isArray(editions) ? editions : String(editions).split(',').map(e => e.trim());
+        ({ rows } = await fetchSftOwnersSnapshot(collectionTicker, editionArray, includeSmartContracts, snapshotAt));
+        params = { collectionTicker, editions: editionArray, includeSmartContracts, snapshotAt };
+    } else if (type === 'ESDT') {
+        const decimals = await fetchTokenDecimals(token);
+        ({ rows } = await fetchEsdtOwnersSnapshot(token, includeSmartContracts, snapshotAt));
+        params = { token, decimals, includeSmartContracts, snapshotAt };
+    } else if (type === 'stakedNFT') {
+        rows = await fetchStakedNfts(collectionTicker, contractLabel);
+        params = { collectionTicker, contractLabel };
+    } else if (type === 'stakedESDT') {
+        const contract = resolveEsdtStakingContract({ contractLabel, stakingContractAddress, token });
+        const decimals = await fetchTokenDecimals(token);
+        rows = await fetchStakedEsdts(token, contract);
+        params = { token, decimals, stakingContractAddress: contract.address, contractLabel: contract.label };
+    } else {
+        throw createHttpError(400, 'source.type must be one of NFT, SFT, ESDT, stakedNFT, stakedESDT');
+    }
+
+    if (rows.length === 0) {
+        throw createHttpError(404, `No holders found for the ${type} source.`);
+    }
+    return { snapshotId: saveSnapshot(type, params, rows), type, params, rows };
+};
+
+// Helper: Split `poolValue` smallest units pro rata to each holder's integer `weight`. Everyone gets the floor
+// of their exact share; the few units left over go one each to the largest remainders, then the larger
+// weights, then the lower addresses, so the same snapshot always pays out the same amounts.
+const splitRewardPool = (holders, poolValue) => {
+    const totalWeight = holders.reduce((sum, holder) => sum + holder.weight, BigInt(0));
+    const shares = holders.map((holder) => ({
+        ...holder,
+        value: (poolValue * holder.weight) / totalWeight,
+        remainder: (poolValue * holder.weight) % totalWeight,
+    }));
+
+    const leftover = poolValue - shares.reduce((sum, share) => sum + share.value, BigInt(0));
+    [...shares]
+        .sort((a, b) => {
+            if (a.remainder !== b.remainder) return a.remainder > b.remainder ? -1 : 1;
+            if (a.weight !== b.weight) return a.weight > b.weight ? -1 : 1;
+            return a.address < b.address ? -1 : a.address > b.address ? 1 : 0;
+        })
+        .slice(0, Number(leftover))
+        .forEach((share) => { share.value += BigInt(1); });
+
+    return { shares, totalWeight };
+};
+
+// Helper: Drop the holders whose share would stay under `minPayoutValue`, smallest first, so their part of
+// the pool goes to the others. Shares follow weights, so once the smallest holder qualifies everyone does.
+const applyMinimumPayout = (holders, poolValue, minPayoutValue) => {
+    const byWeight = [...holders].sort((a, b) => (a.weight !== b.weight ? (a.weight < b.weight ? -1 : 1) : a.address < b.address ? 1 : -1));
+    let totalWeight = holders.reduce((sum, holder) => sum + holder.weight, BigInt(0));
+    let dropped = 0;
+
+    while (dropped < byWeight.length && (poolValue * byWeight[dropped].weight) / totalWeight < minPayoutValue) {
+        totalWeight -= byWeight[dropped].weight;
+        dropped += 1;
+    }
+    return { payees: byWeight.slice(dropped), belowMinimumPayout: byWeight.slice(0, dropped) };
+};
+
+// Reward Split Endpoint: share a fixed reward pool across the holders of a stored (`snapshotId`) or fresh (`source`) snapshot
+registerSnapshotRoute('/rewardSplit', async (req, res) => {
+    try {
+        const { snapshotId, source, rewardToken, poolAmount, minHolding, minPayout, excludeAddresses = [] } = req.body;
+
+        if ((!snapshotId && !source) || !rewardToken || poolAmount === undefined) {
+            return res.status(400).json({ error: 'Missing required parameters: snapshotId (or source), rewardToken, poolAmount' });
+        }
+        if (!Array.isArray(excludeAddresses)) {
+            return res.status(400).json({ error: 'excludeAddresses must be an array of addresses' });
+        }
+
+        const rewardDecimals = await getTokenDecimals(rewardToken);
+        const pool = new BigNumber(poolAmount);
+        if (!pool.isFinite() || pool.lte(0) || pool.decimalPlaces() > rewardDecimals) {
+            return res.status(400).json({ error: `poolAmount must be a positive amount with at most ${rewardDecimals} decimals` });
+        }
+        if (minPayout !== undefined) {
+            const payout = new BigNumber(minPayout);
+            if (!payout.isFinite() || payout.lt(0) || payout.decimalPlaces() > rewardDecimals) {
+                return res.status(400).json({ error: `minPayout must be a non-negative amount with at most ${rewardDecimals} decimals` });
+            }
+        }
+        if (minHolding !== undefined && (!new BigNumber(minHolding).isFinite() || new BigNumber(minHolding).lt(0))) {
+            return res.status(400).json({ error: 'minHolding must be a non-negative amount' });
+        }
+        const poolValue = BigInt(convertAmountToBlockchainValue(pool, rewardDecimals));
+        const minPayoutValue = minPayout !== undefined ? BigInt(convertAmountToBlockchainValue(minPayout, rewardDecimals)) : BigInt(0);
+
+        const snapshot = snapshotId ? loadSnapshot(snapshotId) : await takeSnapshotFromSource(source);
+        if (!snapshot || !isOwnedByApiKey(req, snapshot)) {
+            return res.status(404).json({ error: `Snapshot "${snapshotId}" not found.` });
+        }
+        const assetType = SNAPSHOT_ASSET_TYPES[snapshot.type];
+        const decimals = snapshot.params.decimals || 0;
+
+        // Weights are the holdings in the snapshot token's smallest unit (NFT and SFT counts as they are)
+        const excluded = new Set(excludeAddresses);
+        const holders = generateUniqueOwnerStats(snapshot.rows, assetType, decimals)
+            .filter(({ owner, tokensCount }) => !excluded.has(owner) &&
+                (minHolding === undefined || new BigNumber(tokensCount).gte(minHolding)))
+            .map(({ owner, tokensCount }) => ({
+                address: owner,
+                tokensCount,
+                weight: BigInt(convertAmountToBlockchainValue(tokensCount, decimals)),
+            }))
+            .filter(({ weight }) => weight > BigInt(0));
+        if (holders.length === 0) {
+            return res.status(404).json({ error: 'No holders qualify for the reward split.' });
+        }
+
+        const { payees, belowMinimumPayout } = applyMinimumPayout(holders, poolValue, minPayoutValue);
+        if (payees.length === 0) {
+            return res.status(400).json({ error: 'No holder would reach the minimum payout.' });
+        }
+        const { shares, totalWeight } = splitRewardPool(payees, poolValue);
+
+        const recipients = shares
+            .sort(compareByAmountDesc(share => share.value))
+            .map(({ address, tokensCount, weight, value }) => ({
+                address,
+                tokensCount,
+                share: new BigNumber(weight.toString()).dividedBy(totalWeight.toString()).toFixed(10),
+                value: value.toString(),
+                amount: new BigNumber(value.toString()).shiftedBy(-rewardDecimals).toFixed(),
+            }));
+
+        // address + amount rows, ready for a distribution tool (or /distribute's recipients)
+        const csvString = await generateCsvFromRows(recipients.map(({ address, amount, value }) => ({ address, amount, value })));
+
+        res.json({
+            snapshotId: snapshot.snapshotId,
+            sourceType: snapshot.type,
+            rewardToken,
+            rewardDecimals,
+            poolAmount: pool.toFixed(),
+            poolValue: poolValue.toString(),
+            totalWeight: totalWeight.toString(),
+            minHolding,
+            minPayout,
+            recipientCount: recipients.length,
+            recipients,
+            belowMinimumPayout: belowMinimumPayout.map(({ address, tokensCount }) => ({ address, tokensCount })),
+            csvString,
+            message: `${pool.toFixed()} ${rewardToken} split across ${recipients.length} holders.`,
+            usageFeeHash: req.usageFeeHash,
+        });
+    } catch (error) {
+        console.error('Error during reward split:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// ------------------ Prize Distribution ------------------
+
+const DISTRIBUTION_ASSET_TYPES = ['ESDT', 'NFT', 'SFT'];
+const distributionsDirPath = path.join(DATA_DIR, 'distributions');
+const activeDistributions = new Set(); // Distributions currently sending, so they are never run twice at once
+
+fs.mkdirSync(distributionsDirPath, { recursive: true });
+
+const getDistributionFilePath = (distributionId) => path.join(distributionsDirPath, `${path.basename(distributionId)}.json`);
+
+const loadDistribution = (distributionId) => loadJsonFile(getDistributionFilePath(distributionId), null);
+
+const saveDistribution = (distribution) => {
+    distribution.updatedAt = new Date().toISOString();
+    saveJsonFile(getDistributionFilePath(distribution.distributionId), distribution);
+};
+
+// Helper: Split an NFT/SFT identifier ("COLL-abc123-0f") into its collection and nonce
+const parseTokenIdentifier = (identifier) => {
+    const match = /^([A-Za-z0-9]+-[0-9a-f]{6})-([0-9a-f]+)$/i.exec(String(identifier || ''));
+    if (!match) {
+        throw createHttpError(400, `"${identifier}" is not a valid NFT/SFT identifier (COLLECTION-abc123-nonce)`);
+    }
+    return { collection: match[1], nonce: BigInt(`0x${match[2]}`) };
+};
+
+// Helper: Turn the request into the list of transfers to make. Recipients come either as a list of
+// { address, amount, identifier } (or an { address: amount } map), or as a draw's `winners` with
+// `amountPerWinner` (ESDT/SFT) or one of `prizeIdentifiers` per winner (NFT).
+const buildDistributionRecipients = async ({ assetType, token, recipients, winners, amountPerWinner, prizeIdentifiers }) => {
+    let rows;
+    if (recipients !== undefined) {
+        rows = Array.isArray(recipients)
+            ? recipients
+            : Object.entries(recipients || {}).map(([address, amount]) => ({ address, amount }));
+    } else if (Array.isArray(winners)) {
+        if (assetType === 'NFT' && (!Array.isArray(prizeIdentifiers) || prizeIdentifiers.length !== winners.length)) {
+            throw createHttpError(400, 'NFT prizes for draw winners need one entry of prizeIdentifiers per winner');
+        }
+        rows = winners.map((winner, index) => ({
+            address: winner.owner || winner.address,
+            amount: amountPerWinner,
+            identifier: assetType === 'NFT' ? prizeIdentifiers[index] : undefined,
+        }));
+    } else {
+        throw createHttpError(400, 'Provide recipients (address -> amount) or the winners of a draw');
+    }
+    if (rows.length === 0) {
+        throw createHttpError(400, 'There are no recipients to distribute to');
+    }
+
+    const decimals = assetType === 'ESDT' ? await getTokenDecimals(token) : 0;
+
+    return rows.map((row, index) => {
+        try {
+            new Address(row.address);
+        } catch (error) {
+            throw createHttpError(400, `Recipient ${index} has an invalid address "${row.address}"`);
+        }
+
+        const identifier = assetType === 'ESDT' ? token : row.identifier || token;
+        if (assetType !== 'ESDT') {
+            parseTokenIdentifier(identifier);
+        }
+
+        const amount = new BigNumber(assetType === 'NFT' ? 1 : row.amount);
+        if (!amount.isFinite() || amount.lte(0) || (assetType === 'SFT' && !amount.isInteger())) {
+            throw createHttpError(400, `Recipient ${index} needs a positive ${assetType === 'SFT' ? 'whole ' : ''}amount`);
+        }
+
+        return {
+            address: row.address,
+            identifier,
+            amount: amount.toFixed(),
+            value: convertAmountToBlockchainValue(amount, decimals),
+            status: 'queued',
+            txHash: null,
+            attempts: 0,
+        };
+    });
+};
+
+// Helper: Distributions are identified by what they send, so a retried /distribute resumes the first attempt instead
+// of paying everyone again. `distributionKey` tells apart intended repeats of the same payout (e.g. "week-42").
+const deriveDistributionId = ({ sender, network, assetType, recipients, distributionKey }) => {
+    const transfers = recipients
+        .map(({ address, identifier, value }) => [address, identifier, value])
+        .sort((a, b) => (a.join('|') < b.join('|') ? -1 : a.join('|') > b.join('|') ? 1 : 0));
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ sender, network, assetType, transfers, distributionKey: distributionKey ?? null }))
+        .digest('hex')
+        .slice(0, 32);
+};
+
+// Helper: Build the (unsigned) transfer of one recipient's prize
+const createPrizeTransaction = (factory, senderAddress, assetType, recipient) => {
+    let token;
+    if (assetType === 'ESDT') {
+        token = new Token({ identifier: recipient.identifier });
+    } else {
+        const { collection, nonce } = parseTokenIdentifier(recipient.identifier);
+        token = new Token({ identifier: collection, nonce });
+    }
+
+    return factory.createTransactionForESDTTokenTransfer({
+        sender: senderAddress,
+        receiver: new Address(recipient.address),
+        tokenTransfers: [new TokenTransfer({ token, amount: BigInt(recipient.value) })],
+    });
+};
+
+// Helper: Send every transfer that is not done yet, one nonce after the other, then follow each transaction.
+// Transactions left pending or unknown by an earlier run are re-checked first and never sent twice,
+// unless `retryUnknown` is set; transfers that failed on-chain (or before broadcasting) are sent again.
+const executeDistribution = async (distributionId, pemContent, { retryUnknown = false } = {}) => {
+    const distribution = loadDistribution(distributionId);
+    const signer = UserSigner.fromPem(pemContent);
+    const senderAddress = signer.getAddress();
+    const factory = new TransferTransactionsFactory({ config: new TransactionsFactoryConfig({ chainID: getNetwork().chainId }) });
+    const transactionComputer = new TransactionComputer();
+
+    const trackTransaction = async (recipient) => {
+        const { status } = await checkTransactionStatus(recipient.txHash);
+        recipient.status = status === 'success' ? 'sent' : status === 'fail' ? 'failed' : 'unknown';
+        saveDistribution(distribution);
+    };
+
+    for (const recipient of distribution.recipients.filter(r => r.status === 'pending' || (r.status === 'unknown' && !retryUnknown))) {
+        await trackTransaction(recipient);
+    }
+
+    const toSend = distribution.recipients.filter(r => r.status === 'queued' || r.status === 'failed' || (r.status === 'unknown' && retryUnknown));
+    if (toSend.length > 0) {
+        const accountOnNetwork = await getProvider().getAccount(senderAddress);
+        let nonce = BigInt(accountOnNetwork.nonce);
+
+        for (const recipient of toSend) {
+            let broadcasting = false;
+            try {
+                const tx = createPrizeTransaction(factory, senderAddress, distribution.assetType, recipient);
+                tx.nonce = nonce;
+                await signer.sign(tx);
+
+                // The hash is stored before broadcasting, so a crash mid-send leaves a transaction to re-check, not to resend
+                recipient.txHash = Buffer.from(transactionComputer.computeTransactionHash(tx)).toString('hex');
+                recipient.status = 'pending';
+                recipient.attempts += 1;
+                recipient.error = undefined;
+                saveDistribution(distribution);
+
+                broadcasting = true;
+                await getProvider().sendTransaction(tx);
+                nonce += BigInt(1);
+                console.log(`[DISTRIBUTION ${distributionId}] Sent ${recipient.amount} ${recipient.identifier} to ${recipient.address}: ${recipient.txHash}`);
+            } catch (error) {
+                console.error(`[DISTRIBUTION ${distributionId}] Failed to send to ${recipient.address}: ${error.message}`);
+                recipient.error = error.message;
+                if (!broadcasting) {
+                    recipient.status = 'failed';
+                } else {
+                    // The gateway may have accepted it anyway (e.g. a timeout): stay pending so it is re-checked, not resent.
+                    // Later nonces would depend on whether it went through, so the rest waits for the next resume.
+                    saveDistribution(distribution);
+                    break;
+                }
+            }
+            saveDistribution(distribution);
+        }
+
+        for (const recipient of toSend.filter(r => r.status === 'pending')) {
+            await trackTransaction(recipient);
+        }
+    }
+
+    const summary = { sent: 0, failed: 0, unknown: 0 };
+    distribution.recipients.forEach(({ status }) => { summary[status] = (summary[status] || 0) + 1; });
+    distribution.summary = summary;
+    distribution.status = summary.sent === distribution.recipients.length ? 'completed' : 'partial';
+    saveDistribution(distribution);
+    return distribution;
+};
+
+// Prize Distribution Endpoint: send the prizes from the caller's wallet, or resume a distribution with `distributionId`
+app.post('/distribute', checkToken, selectFixtureMode, handleIdempotencyKey, handleUsageFee, async (req, res) => {
+    let distributionId;
+    try {
+        if (!req.body.walletPem) {
+            return res.status(400).json({ error: 'walletPem is required to sign the prize transfers' });
+        }
+        if (isReplayingFixtures()) {
+            return res.status(400).json({ error: 'Prizes cannot be distributed while replaying recorded fixtures.' });
+        }
+        const pemContent = getPemContent(req);
+        const senderAddress = deriveWalletAddressFromPem(pemContent);
+        const { assetType = 'ESDT', token, recipients, winners, amountPerWinner, prizeIdentifiers, distributionKey, retryUnknown } = req.body;
+
+        if (req.body.distributionId) {
+            distributionId = req.body.distributionId;
+            const existing = loadDistribution(distributionId);
+            if (!existing || !isOwnedByApiKey(req, existing)) {
+                return res.status(404).json({ error: `Distribution "${distributionId}" not found.` });
+            }
+            if (existing.sender !== senderAddress) {
+                return res.status(403).json({ error: 'Distributions can only be resumed with the wallet that started them.' });
+            }
+            if ((existing.network || 'mainnet') !== getNetwork().name) {
+                return res.status(400).json({ error: `Distribution "${distributionId}" was started on ${existing.network || 'mainnet'}; resume it on the same network.` });
+            }
+        } else {
+            if (!DISTRIBUTION_ASSET_TYPES.includes(assetType)) {
+                return res.status(400).json({ error: `assetType must be one of ${DISTRIBUTION_ASSET_TYPES.join(', ')}` });
+            }
+            if (assetType === 'ESDT' && !token) {
+                return res.status(400).json({ error: 'token is required for ESDT prizes' });
+            }
+
+            const distributionRecipients = await buildDistributionRecipients({ assetType, token, recipients, winners, amountPerWinner, prizeIdentifiers });
+            distributionId = deriveDistributionId({ sender: senderAddress, network: getNetwork().name, assetType, recipients: distributionRecipients, distributionKey });
+            const existing = loadDistribution(distributionId);
+            if (existing && !isOwnedByApiKey(req, existing)) {
+                return res.status(409).json({ error: 'The same distribution was already started with another API key.' });
+            }
+            if (existing) {
+                console.log(`Distribution ${distributionId} already exists, resuming it instead of starting it again.`);
+            } else {
+                saveDistribution({
+                    distributionId,
+                    sender: senderAddress,
+                    network: getNetwork().name,
+                    apiKeyId: req.apiKeyId,
+                    assetType,
+                    token,
+                    distributionKey,
+                    status: 'running',
+                    createdAt: new Date().toISOString(),
+                    recipients: distributionRecipients,
+                });
+            }
+        }
+
+        if (activeDistributions.has(distributionId)) {
+            return res.status(409).json({ error: `Distribution "${distributionId}" is already running.` });
+        }
+        activeDistributions.add(distributionId);
+
+        let distribution;
+        try {
+            distribution = await executeDistribution(distributionId, pemContent, { retryUnknown });
+        } finally {
+            activeDistributions.delete(distributionId);
+        }
+
+        res.json({
+            ...distribution,
+            message: distribution.status === 'completed'
+                ? `All ${distribution.recipients.length} prizes have been sent.`
+                : `${distribution.summary.sent} of ${distribution.recipients.length} prizes sent. Call /distribute again with distributionId to resume.`,
+            usageFeeHash: req.usageFeeHash,
+        });
+    } catch (error) {
+        console.error('Error during prize distribution:', error);
+        res.status(error.statusCode || 500).json({ error: error.message, distributionId });
+    }
+});
+
+// Distribution Report Endpoint
+app.get('/distributions/:id', checkToken, (req, res) => {
+    try {
+        const distribution = loadDistribution(req.params.id);
+        if (!distribution || !isOwnedByApiKey(req, distribution)) {
+            return res.status(404).json({ error: `Distribution "${req.params.id}" not found.` });
+        }
+        res.json(distribution);
+    } catch (error) {
+        console.error('Error fetching distribution:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // ------------------ Start Server ------------------
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  resumeInterruptedJobs();
+  purgeExpiredIdempotentResponses();
+  initCreditLedgers();
+  pruneExpiredSnapshots();
+  setInterval(pruneExpiredSnapshots, SNAPSHOT_PRUNE_INTERVAL_MS).unref();
 });